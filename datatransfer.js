@@ -2,63 +2,63 @@
 // SA_DATA_MASTER → TEAM SHEETS
 //
 // Reads every row from "SA_DATA_MASTER" and copies it into
-// the matching team-number tab, pasted 5 rows below the
-// last row that contains ANY data.
+// the matching team-number tab's SCOUTING NOTES section, under
+// a header row copied from SA_DATA_MASTER (see teamtab.js).
 //
 // HOW TO USE:
 //   1. Paste into Extensions → Apps Script (new file).
-//   2. Set TEAM_NUMBER_COLUMN below to whatever column your
-//      team numbers live in (A, B, C … or 1, 2, 3 …).
+//   2. Set SA_TEAM_COLUMN on the "Config" tab to whatever
+//      column your team numbers live in (A, B, C … or 1, 2, 3 …).
 //   3. Run pushSADataToTeamSheets() — or use the menu.
+//   4. Match scouting lives in the "masterdata" tab; run
+//      pushMasterdataToTeamSheets() to route it by header name.
 //
 // RUN IT AGAIN ANYTIME: it checks what's already been copied
 // using a hidden tracking column so it never double-pastes.
+// Each run is logged on the "SA Push Log" tab and can be rolled
+// back from the menu (see frc-strategy/pushaudit.js).
 // ============================================================
 
 
-// ── !! CHANGE THIS TO MATCH YOUR DATA !! ─────────────────────────────────────
+// Source tab, team column and paste gap come from the "Config" tab
+// (SA_SOURCE_SHEET, SA_TEAM_COLUMN, SA_ROWS_GAP) — see config.js.
 
-const SA_TEAM_COLUMN = "A";   // Column letter (or number) where team numbers live
-                               // e.g. "A", "B", "C", "D" … or 1, 2, 3 …
-
-// ─────────────────────────────────────────────────────────────────────────────
-
-
-const SA_SOURCE_SHEET   = "SA_DATA_MASTER";  // Source tab name
-const SA_ROWS_GAP       = 5;                 // Blank rows to leave above pasted block
-const SA_TRACKING_COL   = "SA_PASTED";       // Header name written in tracking column
-                                              // (added to SA_DATA_MASTER automatically)
+const SA_TRACKING_COL   = "SA_PASTED";   // Header name written in tracking column
+                                          // (added to SA_DATA_MASTER automatically)
+const SA_PUSH_ID_HEADER = "Push ID";     // SCOUTING NOTES column tying a row to its push
 
 
 // ── MAIN ─────────────────────────────────────────────────────────────────────
 
 function pushSADataToTeamSheets() {
+  SpreadsheetApp.getUi().alert(pushSAData().message);
+}
+
+
+/**
+ * The push itself, with no UI — also run by scheduled auto refresh.
+ * Returns { pushed, skipped, newSheets, message, error, runId }.
+ * error is set (and equals message) when nothing could run at all.
+ */
+function pushSAData() {
+  const cfg = requireConfig(["SA_SOURCE_SHEET", "SA_TEAM_COLUMN", "SA_ROWS_GAP", "SA_HOLD_FLAGGED"]);
   const ss  = SpreadsheetApp.getActive();
-  const src = ss.getSheetByName(SA_SOURCE_SHEET);
+  const src = ss.getSheetByName(cfg.SA_SOURCE_SHEET);
 
   if (!src) {
-    SpreadsheetApp.getUi().alert(
-      `❌ Sheet "${SA_SOURCE_SHEET}" not found.\n\nCreate that tab and try again.`
-    );
-    return;
+    return pushResult(`❌ Sheet "${cfg.SA_SOURCE_SHEET}" not found.\n\nCreate that tab and try again.`);
   }
 
   const lastCol = src.getLastColumn();
   const lastRow = src.getLastRow();
 
   if (lastRow < 2) {
-    SpreadsheetApp.getUi().alert("SA_DATA_MASTER has no data rows yet.");
-    return;
+    return { pushed: 0, skipped: 0, newSheets: 0, message: `${cfg.SA_SOURCE_SHEET} has no data rows yet.` };
   }
 
   // ── Resolve team column index (1-based) ───────────────────────────────────
-  const teamColIndex = resolveColumn(SA_TEAM_COLUMN);
-  if (!teamColIndex) {
-    SpreadsheetApp.getUi().alert(
-      `❌ Invalid SA_TEAM_COLUMN value: "${SA_TEAM_COLUMN}".\n\nSet it to a column letter (A, B, C…) or number (1, 2, 3…).`
-    );
-    return;
-  }
+  // (requireConfig has already checked SA_TEAM_COLUMN resolves)
+  const teamColIndex = resolveColumn(cfg.SA_TEAM_COLUMN);
 
   // ── Find or create tracking column ────────────────────────────────────────
   // We add a column at the far right of SA_DATA_MASTER to mark rows already copied.
@@ -67,17 +67,25 @@ function pushSADataToTeamSheets() {
 
   // ── Read all data ─────────────────────────────────────────────────────────
   const allData    = src.getRange(1, 1, lastRow, trackingColIndex).getValues();
-  const headerRow  = allData[0];  // Row 1 = headers (we copy these too if present)
+  const saHeaders  = readSAHeaders(src);  // Row 1 = headers, copied to each tab
+  const notesHdrs  = saHeaders.concat([SA_PUSH_ID_HEADER]);
 
-  let pushed = 0, skipped = 0, newSheets = 0;
+  const runId = newPushRunId();
+  const now   = new Date();
+  const audit = [];
+
+  // Rows SA validation flags wait until they're fixed (see validation.js)
+  const held = cfg.SA_HOLD_FLAGGED ? runSAValidation() : null;
+
+  let pushed = 0, skipped = 0, newSheets = 0, heldBack = 0;
   const log = [];
 
   for (let r = 1; r < allData.length; r++) {   // r=0 is header row
     const row        = allData[r];
     const trackVal   = row[trackingColIndex - 1];
 
-    // Skip already-pasted rows
-    if (trackVal === SA_TRACKING_COL || trackVal === true || trackVal === "TRUE") {
+    // Skip already-pasted rows (push id, or SA_PASTED / TRUE from older versions)
+    if (trackVal !== "" && trackVal !== null && trackVal !== false) {
       skipped++;
       continue;
     }
@@ -92,6 +100,12 @@ function pushSADataToTeamSheets() {
       continue;
     }
 
+    if (held && held.flaggedRows.has(r + 1)) {
+      heldBack++;
+      log.push(`⏸ Row ${r + 1}: held back — ${held.issues.find(x => x.row === r + 1).problem}`);
+      continue;
+    }
+
     const teamStr = teamNum.toString();
 
     // Get or create team sheet
@@ -102,66 +116,238 @@ function pushSADataToTeamSheets() {
       log.push(`✨ Created new sheet: ${teamStr}`);
     }
 
-    // Find the true last row with content (search from bottom up)
-    const pasteRow = findLastContentRow(teamSheet) + SA_ROWS_GAP + 1;
-
-    // Build the data slice to paste (exclude tracking column)
-    const dataToPaste = [row.slice(0, trackingColIndex - 1)];
-
-    // Paste the row
-    teamSheet
-      .getRange(pasteRow, 1, 1, dataToPaste[0].length)
-      .setValues(dataToPaste);
+    // Append to the tab's SCOUTING NOTES section, lined up under SA headers
+    const section  = ensureSection(teamSheet, NOTES_SECTION_TITLE, notesHdrs);
+    const pushId   = runId + "#" + (r + 1);
+    const rowData  = row.slice(0, trackingColIndex - 1).concat([pushId]);
+    const pasteRow = appendSectionRows(teamSheet, section, [
+      alignToHeaders(rowData, notesHdrs, section.headers)
+    ]);
 
     // Mark row as pasted in tracking column
-    src.getRange(r + 1, trackingColIndex).setValue(SA_TRACKING_COL);
+    src.getRange(r + 1, trackingColIndex).setValue(pushId);
+    audit.push([runId, pushId, r + 1, teamStr, pasteRow, now]);
 
     pushed++;
     log.push(`✅ Team ${teamStr} → row ${r + 1} pasted at line ${pasteRow}`);
   }
 
+  writePushAudit(audit);
   SpreadsheetApp.flush();
 
   // ── Summary ───────────────────────────────────────────────────────────────
   const summary = [
     `Done!`,
-    `  • ${pushed} row(s) pasted into team sheets`,
+    `  • ${pushed} row(s) pasted into team sheets` + (pushed ? ` — run ${runId} (menu → Roll Back to undo)` : ""),
     `  • ${skipped} row(s) already pasted (skipped)`,
+    heldBack ? `  • ${heldBack} row(s) held back by validation — fix them (see "${SA_REPORT_SHEET}") and push again` : "",
     `  • ${newSheets} new sheet(s) created`,
     "",
-    pushed === 0 && skipped > 0
-      ? "ℹ️  All rows were already pasted. Add new rows to SA_DATA_MASTER and run again."
+    pushed === 0 && skipped > 0 && !heldBack
+      ? `ℹ️  All rows were already pasted. Add new rows to ${cfg.SA_SOURCE_SHEET} and run again.`
       : "",
     log.length ? "\nDetails (last 20):\n" + log.slice(-20).join("\n") : "",
   ].join("\n").trim();
 
   Logger.log(summary);
-  SpreadsheetApp.getUi().alert(summary);
+  return { pushed, skipped, newSheets, message: summary, runId: pushed ? runId : "" };
 }
 
 
-// ── FORCE RE-PASTE (ignores tracking, repastes everything) ───────────────────
-// Useful if you want to wipe and redo. Run this manually if needed.
+// ── FORCE RE-PASTE (replaces every earlier paste) ────────────────────────────
+// Useful after fixing rows in SA_DATA_MASTER. Each row's earlier paste is
+// removed first (see pushaudit.js), so nothing ends up on a tab twice.
 
 function pushSADataToTeamSheets_FORCE() {
+  const cfg = requireConfig(["SA_SOURCE_SHEET", "SA_TEAM_COLUMN"]);
   const ss  = SpreadsheetApp.getActive();
-  const src = ss.getSheetByName(SA_SOURCE_SHEET);
-  if (!src) return;
+  const src = ss.getSheetByName(cfg.SA_SOURCE_SHEET);
+  if (!src) {
+    SpreadsheetApp.getUi().alert(`❌ Sheet "${cfg.SA_SOURCE_SHEET}" not found.`);
+    return;
+  }
 
-  // Clear all tracking marks first
-  const lastRow          = src.getLastRow();
+  // Remove earlier pastes and clear their tracking marks
   const trackingColIndex = getOrCreateTrackingColumn(src, src.getLastColumn());
-  if (lastRow > 1) {
-    src.getRange(2, trackingColIndex, lastRow - 1, 1).clearContent();
-  }
+  const earlier          = removeEarlierPastes(src, trackingColIndex);
 
   // Now run normally
-  pushSADataToTeamSheets();
+  const result = pushSAData();
+  SpreadsheetApp.getUi().alert([
+    `Force re-paste: ${earlier.removed} of ${earlier.tracked} earlier paste(s) removed first.`,
+    earlier.removed < earlier.tracked
+      ? "ℹ️  The rest weren't found in SCOUTING NOTES (deleted, edited or in an old layout) and are pasted again."
+      : "",
+    "",
+    result.message
+  ].join("\n").trim());
+}
+
+
+// ── MASTERDATA → TEAM SHEETS (match scouting) ────────────────────────────────
+// Routes each "masterdata" row into a MATCH SCOUTING section on the team tab.
+// Columns are found by header name, so the tab can be reordered freely.
+// Dedupes on (team, event, match) against what's already in the section.
+
+const MD_SECTION_TITLE = "MATCH SCOUTING";   // Title cell (column A) on team tabs
+
+const MD_TEAM_HEADERS    = ["team", "team number", "team #", "team num"];
+const MD_MATCH_HEADERS   = ["match", "match number", "match #", "match num", "qual"];
+const MD_EVENT_HEADERS   = ["event", "event key", "event code", "event name"];
+const MD_SCOUTER_HEADERS = ["scouter", "scout", "scouter name", "scout name", "name"];
+
+function pushMasterdataToTeamSheets() {
+  SpreadsheetApp.getUi().alert(pushMasterdata().message);
+}
+
+
+// UI-free core, same contract as pushSAData().
+function pushMasterdata() {
+  const cfg = requireConfig(["MD_SOURCE_SHEET", "SA_ROWS_GAP"]);
+  const ss  = SpreadsheetApp.getActive();
+  const src = ss.getSheetByName(cfg.MD_SOURCE_SHEET);
+
+  if (!src) {
+    return pushResult(`❌ Sheet "${cfg.MD_SOURCE_SHEET}" not found.\n\nCreate that tab and try again.`);
+  }
+
+  const lastRow = src.getLastRow();
+  const lastCol = src.getLastColumn();
+
+  if (lastRow < 2) {
+    return { pushed: 0, skipped: 0, newSheets: 0, message: `${cfg.MD_SOURCE_SHEET} has no data rows yet.` };
+  }
+
+  const allData = src.getRange(1, 1, lastRow, lastCol).getValues();
+  const headers = allData[0].map(h => String(h).trim());
+
+  // ── Resolve key columns by header name ────────────────────────────────────
+  const teamIdx    = findHeaderIndex(headers, MD_TEAM_HEADERS);
+  const matchIdx   = findHeaderIndex(headers, MD_MATCH_HEADERS);
+  const eventIdx   = findHeaderIndex(headers, MD_EVENT_HEADERS);
+  const scouterIdx = findHeaderIndex(headers, MD_SCOUTER_HEADERS);
+
+  if (teamIdx < 0 || matchIdx < 0) {
+    return pushResult(
+      `❌ ${cfg.MD_SOURCE_SHEET} needs a team column and a match column.\n\n` +
+      `Team headers tried: ${MD_TEAM_HEADERS.join(", ")}\n` +
+      `Match headers tried: ${MD_MATCH_HEADERS.join(", ")}`
+    );
+  }
+
+  // EVENT_KEY only fills in the Event when masterdata has no event column
+  if (eventIdx < 0) {
+    requireConfig(["EVENT_KEY"]);   // format check
+    if (!cfg.EVENT_KEY) {
+      return pushResult(
+        `❌ ${cfg.MD_SOURCE_SHEET} has no event column and EVENT_KEY is blank.\n\n` +
+        `Add an event column (${MD_EVENT_HEADERS.join(", ")}) or set EVENT_KEY on the Config tab.`
+      );
+    }
+  }
+
+  // Section layout: Match, Scouter, Event, then every other masterdata column
+  const keyIdx       = [matchIdx, scouterIdx, eventIdx, teamIdx];
+  const extraIdx     = headers.map((_, i) => i).filter(i => !keyIdx.includes(i) && headers[i] !== "");
+  const sectionHdrs  = ["Match", "Scouter", "Event"].concat(extraIdx.map(i => headers[i]));
+
+  // ── Group incoming rows by team ───────────────────────────────────────────
+  const byTeam = {};
+  const log    = [];
+
+  for (let r = 1; r < allData.length; r++) {   // r=0 is header row
+    const row     = allData[r];
+    const rawTeam = row[teamIdx];
+    if (rawTeam === "" || rawTeam === null || rawTeam === undefined) continue;
+
+    const teamNum = Number(rawTeam);
+    if (isNaN(teamNum) || teamNum <= 0) {
+      log.push(`⚠️  Row ${r + 1}: "${rawTeam}" is not a valid team number — skipped`);
+      continue;
+    }
+
+    const rawMatch = row[matchIdx];
+    if (rawMatch === "" || rawMatch === null || rawMatch === undefined) {
+      log.push(`⚠️  Row ${r + 1}: no match number — skipped`);
+      continue;
+    }
+
+    const teamStr = teamNum.toString();
+    if (!byTeam[teamStr]) byTeam[teamStr] = [];
+    byTeam[teamStr].push({
+      sourceRow: r + 1,
+      values: [
+        rawMatch,
+        scouterIdx >= 0 ? row[scouterIdx] : "",
+        eventIdx   >= 0 ? row[eventIdx]   : cfg.EVENT_KEY
+      ].concat(extraIdx.map(i => row[i]))
+    });
+  }
+
+  let pushed = 0, skipped = 0, newSheets = 0;
+
+  Object.keys(byTeam).forEach(teamStr => {
+    let teamSheet = ss.getSheetByName(teamStr);
+    if (!teamSheet) {
+      teamSheet = ss.insertSheet(teamStr);
+      newSheets++;
+      log.push(`✨ Created new sheet: ${teamStr}`);
+    }
+
+    const section  = ensureSection(teamSheet, MD_SECTION_TITLE, sectionHdrs);
+    const existing = getSectionRows(teamSheet, section);
+
+    // Existing keys → (event, match); team is implied by the tab
+    const seen = new Set(existing.values.map(v => matchDedupeKey(v[2], v[0])));
+
+    const toAppend = [];
+    byTeam[teamStr].forEach(item => {
+      const key = matchDedupeKey(item.values[2], item.values[0]);
+      if (seen.has(key)) {
+        skipped++;
+        return;
+      }
+      seen.add(key);
+      toAppend.push(alignToHeaders(item.values, sectionHdrs, section.headers));
+      log.push(`✅ Team ${teamStr} → match ${item.values[0]} (row ${item.sourceRow})`);
+    });
+
+    if (toAppend.length) {
+      appendSectionRows(teamSheet, section, toAppend);
+      pushed += toAppend.length;
+    }
+  });
+
+  SpreadsheetApp.flush();
+
+  // ── Summary ───────────────────────────────────────────────────────────────
+  const summary = [
+    `Done!`,
+    `  • ${pushed} match row(s) added to team sheets`,
+    `  • ${skipped} row(s) already present (skipped)`,
+    `  • ${newSheets} new sheet(s) created`,
+    "",
+    pushed === 0 && skipped > 0
+      ? `ℹ️  Every match was already on its team sheet. Add new rows to ${cfg.MD_SOURCE_SHEET} and run again.`
+      : "",
+    log.length ? "\nDetails (last 20):\n" + log.slice(-20).join("\n") : "",
+  ].join("\n").trim();
+
+  Logger.log(summary);
+  return { pushed, skipped, newSheets, message: summary };
 }
 
 
 // ── UTILITIES ─────────────────────────────────────────────────────────────────
 
+/**
+ * Result for a push that couldn't start (missing tab, missing columns).
+ */
+function pushResult(error) {
+  return { pushed: 0, skipped: 0, newSheets: 0, message: error, error };
+}
+
+
 /**
  * Converts a column reference to a 1-based column index.
  * Accepts: "A", "B", "AA", 1, 2, 3 …
@@ -184,6 +370,35 @@ function resolveColumn(ref) {
 }
 
 
+/**
+ * Returns SA_DATA_MASTER's row-1 headers, minus the tracking column.
+ * Blank headers become "Col N" so every column still gets a label.
+ */
+function readSAHeaders(src) {
+  const lastCol = src.getLastColumn();
+  if (lastCol === 0) return [];
+
+  const header   = src.getRange(1, 1, 1, lastCol).getValues()[0];
+  const trackIdx = header.indexOf(SA_TRACKING_COL);
+  return (trackIdx >= 0 ? header.slice(0, trackIdx) : header)
+    .map((h, i) => String(h).trim() || "Col " + (i + 1));
+}
+
+
+/**
+ * 1-based column index → letter(s). Inverse of resolveColumn().
+ */
+function columnLetter(index) {
+  let s = "";
+  while (index > 0) {
+    const m = (index - 1) % 26;
+    s = String.fromCharCode(65 + m) + s;
+    index = Math.floor((index - 1) / 26);
+  }
+  return s;
+}
+
+
 /**
  * Searches a sheet from the BOTTOM UP to find the last row
  * that contains any non-empty cell. Returns 0 if the sheet is blank.
@@ -230,17 +445,106 @@ function getOrCreateTrackingColumn(sheet, currentLastCol) {
 }
 
 
+/**
+ * Lower-cases a header and strips everything but letters, digits and "#",
+ * so "Team Number", "team_number" and "TEAM NUMBER " all compare equal.
+ */
+function normalizeHeader(h) {
+  return String(h === null || h === undefined ? "" : h)
+    .toLowerCase()
+    .replace(/[^a-z0-9#]/g, "");
+}
+
+
+/**
+ * Returns the 0-based index of the first header matching any alias, or -1.
+ */
+function findHeaderIndex(headers, aliases) {
+  const wanted = aliases.map(normalizeHeader);
+  for (let i = 0; i < headers.length; i++) {
+    if (wanted.includes(normalizeHeader(headers[i]))) return i;
+  }
+  return -1;
+}
+
+
+/**
+ * Normalizes a match reference so "Q12", "qm12", "12" and 12 all map to "12".
+ * Anything that isn't a plain qualification number is kept as lower-case text.
+ */
+function normalizeMatchKey(raw) {
+  const s = String(raw === null || raw === undefined ? "" : raw).trim().toLowerCase();
+  const m = s.match(/^(?:qm|q|quals?|qualification)?\s*0*(\d+)$/);
+  return m ? m[1] : s;
+}
+
+
+/**
+ * (event, match) key used to dedupe match-scouting rows on a team tab.
+ */
+function matchDedupeKey(event, match) {
+  return String(event === null || event === undefined ? "" : event).trim().toLowerCase() +
+    "|" + normalizeMatchKey(match);
+}
+
+
+/**
+ * Returns values laid out in targetHeaders order, looking each one up by
+ * name in sourceHeaders. Headers missing from the source come back blank.
+ */
+function alignToHeaders(values, sourceHeaders, targetHeaders) {
+  return targetHeaders.map(h => {
+    const i = sourceHeaders.indexOf(h);
+    return i >= 0 && i < values.length ? values[i] : "";
+  });
+}
+
+
 // ── MENU ─────────────────────────────────────────────────────────────────────
 
 function onOpen() {
   SpreadsheetApp.getUi()
     .createMenu("🤖 Scouting Tools")
+    .addItem("Open SA Import Tab", "openSAImportSheet")
+    .addItem("Import to SA_DATA_MASTER", "importSAData")
     .addItem("Push SA_DATA_MASTER → Team Sheets", "pushSADataToTeamSheets")
-    .addItem("Force Re-paste All (ignore tracking)", "pushSADataToTeamSheets_FORCE")
+    .addItem("Force Re-paste All (replace earlier pastes)", "pushSADataToTeamSheets_FORCE")
+    .addItem("Roll Back Last SA Push", "rollbackLastSAPush")
+    .addItem("Roll Back SA Push Run…", "rollbackSAPushPrompt")
+    .addItem("Validate SA_DATA_MASTER", "validateSAData")
+    .addItem("Re-layout Team Tabs", "relayoutTeamTabs")
     .addSeparator()
     .addItem("Push masterdata → Team Sheets", "pushMasterdataToTeamSheets")
     .addSeparator()
     .addItem("Refresh Statbotics Stats", "refreshStatboticsStats")
-    .addItem("Build Graphs Sheet", "createGraphsSheet")
+    .addItem("Force Refresh Statbotics Stats (skip cache)", "refreshStatboticsStats_FORCE")
+    .addItem("Cancel Batched Refresh", "cancelBatchedJob")
+    .addItem("Build Dashboards", "buildDashboards")
+    .addItem("Build Scouting Summary", "buildScoutingSummary")
+    .addItem("Build Pick List", "buildPickList")
+    .addItem("Update Alliance Selection", "updateAllianceSelection")
+    .addItem("Build Upcoming Matches", "buildUpcomingMatches")
+    .addItem("Build Match Briefs", "buildMatchBriefs")
+    .addItem("Build Brief for One Match…", "buildMatchBriefPrompt")
+    .addItem("Analyze Event Field…", "analyzeEventFieldPrompt")
+    .addItem("Build Match Timeline…", "buildMatchTimelinePrompt")
+    .addItem("Build Comparison", "buildComparison")
+    .addSeparator()
+    .addItem("Export Team Dossier…", "exportTeamDossierPrompt")
+    .addItem("Export Dossiers for Event", "exportEventDossiers")
+    .addItem("Export Pick List (CSV)", "exportPickList")
+    .addItem("Export Dataset (CSV)", "exportDataset")
+    .addSeparator()
+    .addItem("Install Auto Refresh", "installAutoRefresh")
+    .addItem("Pause / Resume Auto Refresh", "toggleAutoRefreshPause")
+    .addItem("Remove Auto Refresh", "removeAutoRefresh")
+    .addSeparator()
+    .addItem("Import Teams from Event(s)…", "importTeamsFromEvents")
+    .addItem("Import Teams from District…", "importTeamsFromDistrict")
+    .addSeparator()
+    .addItem("⚙️ Set Up Config Sheet", "setupConfigSheet")
+    .addItem("Set TBA API Key", "setTbaKey")
+    .addItem("Check Config", "checkConfig")
+    .addItem("Clear API Cache", "clearApiCache")
     .addToUi();
 }
\ No newline at end of file
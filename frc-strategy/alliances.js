@@ -0,0 +1,247 @@
+// ============================================================
+// ALLIANCE SELECTION ASSISTANT
+//
+// Run "Update Alliance Selection" after every pick. It:
+//   1. Reads the current alliances from TBA (/event/{key}/alliances)
+//      or, when TBA lags, from the manual grid on the tab.
+//   2. Drops every taken or declined team from the event pool,
+//      plus anything ticked "Do Not Pick" on the Pick List.
+//   3. Ranks what's left as a partner for OUR alliance, weighting
+//      auto / teleop / endgame EPA toward what we're short on.
+//   4. Logs each new pick to "Alliance Picks Log".
+//
+// EPA comes from team_year, the same data writeStatRows uses.
+// Needs TEAM_NUMBER and EVENT_KEY on the Config tab.
+// ============================================================
+
+const ALLIANCE_SHEET     = "Alliance Selection";
+const ALLIANCE_LOG_SHEET = "Alliance Picks Log";
+const ALLIANCE_COUNT     = 8;
+const ALLIANCE_SLOTS     = ["Captain", "Pick 1", "Pick 2", "Pick 3"];
+const ALLIANCE_GRID_ROW  = 4;    // first alliance row; header is the row above
+const ALLIANCE_RECS_SHOW = 15;   // candidates listed under the grid
+
+const EPA_COMPONENTS = ["auto", "teleop", "endgame"];
+
+
+function updateAllianceSelection() {
+  const cfg = requireConfig(["TBA_KEY", "TEAM_NUMBER", "EVENT_KEY", "CURRENT_YEAR", "ALLIANCE_SOURCE"]);
+  if (!cfg.TEAM_NUMBER || !cfg.EVENT_KEY) {
+    throw new Error("Set TEAM_NUMBER and EVENT_KEY on the Config tab first.");
+  }
+
+  const sheet = getOrCreateAllianceSheet();
+
+  // ── Current alliances: TBA first, manual grid as fallback ─────────────────
+  let alliances = null;
+  let declined  = [];
+  let source    = "Manual";
+
+  if (cfg.ALLIANCE_SOURCE !== "MANUAL") {
+    const tba = tbaGet("/event/" + cfg.EVENT_KEY + "/alliances");
+    if (tba && tba.length) {
+      alliances = tba.map(a => (a.picks || []).map(k => Number(String(k).replace("frc", ""))));
+      tba.forEach(a => (a.declines || []).forEach(k => declined.push(Number(String(k).replace("frc", "")))));
+      source = "TBA";
+    } else if (cfg.ALLIANCE_SOURCE === "TBA") {
+      throw new Error("TBA has no alliances for " + cfg.EVENT_KEY + " yet (ALLIANCE_SOURCE is TBA).");
+    }
+  }
+
+  if (alliances) writeAllianceGrid(sheet, alliances);
+  else           alliances = readAllianceGrid(sheet);
+
+  // ── Available pool ────────────────────────────────────────────────────────
+  const eventTeams = (tbaGet("/event/" + cfg.EVENT_KEY + "/teams/keys") || [])
+    .map(k => Number(String(k).replace("frc", "")));
+  if (!eventTeams.length) {
+    throw new Error("Couldn't load the team list for " + cfg.EVENT_KEY + " from TBA.");
+  }
+
+  const taken = new Set([].concat(...alliances).concat(declined).filter(t => t));
+  const marks = readPickMarks();
+  const pool  = eventTeams.filter(t => !taken.has(t) && !(marks[t] && marks[t].dnp));
+
+  const ourAlliance = (alliances.find(a => a.includes(cfg.TEAM_NUMBER)) || [cfg.TEAM_NUMBER]).filter(t => t);
+  const allianceNum = alliances.findIndex(a => a.includes(cfg.TEAM_NUMBER)) + 1;
+
+  // ── Score candidates ──────────────────────────────────────────────────────
+  const teamData = fetchTeamYears(pool.concat(ourAlliance), cfg.CURRENT_YEAR);
+  const recs     = rankPartners(pool, ourAlliance, teamData);
+
+  // The log credits each new pick with what we recommended before it —
+  // the list still on the tab from the last update
+  const lastTopRec = readTopRecommendation(sheet);
+  writeAllianceRecommendations(sheet, recs, ourAlliance, allianceNum);
+  sheet.getRange(2, 1, 1, 1).setValue(
+    `Source: ${source} • ${pool.length} available • updated ${new Date().toLocaleTimeString()}`
+  );
+
+  const logged = logAlliancePicks(alliances, source, lastTopRec);
+
+  SpreadsheetApp.flush();
+  Logger.log(`Alliance selection updated from ${source}: ${pool.length} available, ${logged} new pick(s) logged`);
+}
+
+
+// ============================================================
+// Ranks pool teams as partners for ourAlliance.
+//
+// For each component (auto / teleop / endgame) the need weight is
+// field average ÷ our per-robot average, clamped to 0.5–2, so a
+// team strong where we're weak scores higher than one that
+// duplicates what we already have.
+// Returns [{ team, score, epa, auto, teleop, endgame, why }] best first.
+// ============================================================
+function rankPartners(pool, ourAlliance, teamData) {
+  const avg = (teams, c) => {
+    const vals = teams.map(t => epaBreakdown(teamData[t])[c]).filter(v => v !== null);
+    return vals.length ? vals.reduce((s, v) => s + v, 0) / vals.length : 0;
+  };
+
+  const need  = {};
+  const field = {};
+  EPA_COMPONENTS.forEach(c => {
+    field[c]   = avg(pool, c);
+    const ours = avg(ourAlliance, c);
+    need[c] = field[c] <= 0 ? 1 : Math.max(0.5, Math.min(2, ours > 0 ? field[c] / ours : 2));
+  });
+
+  return pool.map(team => {
+    const b = epaBreakdown(teamData[team]);
+    let score = 0, best = null, bestRel = -Infinity;
+
+    // "Best fit for" = the component where this team adds the most
+    // relative to the field, weighted by how much we need it
+    EPA_COMPONENTS.forEach(c => {
+      const gain = need[c] * (b[c] || 0);
+      score += gain;
+      const rel = field[c] > 0 ? gain / field[c] : 0;
+      if (rel > bestRel) { bestRel = rel; best = c; }
+    });
+
+    const round = v => v === null ? "" : Math.round(v * 10) / 10;
+    return {
+      team,
+      score:   Math.round(score * 10) / 10,
+      epa:     round(b.total),
+      auto:    round(b.auto),
+      teleop:  round(b.teleop),
+      endgame: round(b.endgame),
+      why:     b.total === null
+        ? "no EPA data"
+        : `${best} (need ×${Math.round(need[best] * 100) / 100})`
+    };
+  }).sort((a, b) => b.score - a.score || a.team - b.team);
+}
+
+
+// ── UTILITIES ────────────────────────────────────────────────────────────────
+
+function getOrCreateAllianceSheet() {
+  const ss  = SpreadsheetApp.getActive();
+  let sheet = ss.getSheetByName(ALLIANCE_SHEET);
+  if (sheet) return sheet;
+
+  sheet = ss.insertSheet(ALLIANCE_SHEET);
+  sheet.getRange(1, 1).setValue("ALLIANCE SELECTION").setFontWeight("bold");
+  sheet.getRange(ALLIANCE_GRID_ROW - 1, 1, 1, ALLIANCE_SLOTS.length + 1)
+    .setValues([["Alliance"].concat(ALLIANCE_SLOTS)])
+    .setFontWeight("bold");
+
+  const labels = [];
+  for (let i = 1; i <= ALLIANCE_COUNT; i++) labels.push([i]);
+  sheet.getRange(ALLIANCE_GRID_ROW, 1, ALLIANCE_COUNT, 1).setValues(labels);
+  sheet.getRange(ALLIANCE_GRID_ROW, 2, ALLIANCE_COUNT, ALLIANCE_SLOTS.length)
+    .setNote("Type team numbers here when TBA is behind (ALLIANCE_SOURCE = AUTO or MANUAL).");
+  return sheet;
+}
+
+
+/**
+ * Reads the manual grid → [[captain, pick1, …], …]. Blank slots are
+ * null, so every team stays in its own slot.
+ */
+function readAllianceGrid(sheet) {
+  return sheet
+    .getRange(ALLIANCE_GRID_ROW, 2, ALLIANCE_COUNT, ALLIANCE_SLOTS.length)
+    .getValues()
+    .map(row => row.map(v => Number(v) > 0 ? Number(v) : null));
+}
+
+
+function writeAllianceGrid(sheet, alliances) {
+  const rows = [];
+  for (let i = 0; i < ALLIANCE_COUNT; i++) {
+    const a = alliances[i] || [];
+    rows.push(ALLIANCE_SLOTS.map((_, s) => a[s] || ""));
+  }
+  sheet.getRange(ALLIANCE_GRID_ROW, 2, ALLIANCE_COUNT, ALLIANCE_SLOTS.length).setValues(rows);
+}
+
+
+// Team at the top of the recommendation list on the tab, or "".
+function readTopRecommendation(sheet) {
+  const row = ALLIANCE_GRID_ROW + ALLIANCE_COUNT + 3;
+  return sheet.getLastRow() >= row ? sheet.getRange(row, 2).getValue() : "";
+}
+
+
+function writeAllianceRecommendations(sheet, recs, ourAlliance, allianceNum) {
+  const top   = ALLIANCE_GRID_ROW + ALLIANCE_COUNT + 1;
+  const width = 8;
+
+  const lastRow = sheet.getLastRow();
+  if (lastRow >= top) sheet.getRange(top, 1, lastRow - top + 1, width).clearContent();
+
+  const label = allianceNum > 0 ? "Alliance " + allianceNum : "not on an alliance yet";
+  sheet.getRange(top, 1)
+    .setValue(`RECOMMENDED NEXT PICK — our alliance (${label}): ${ourAlliance.join(", ")}`)
+    .setFontWeight("bold");
+  sheet.getRange(top + 1, 1, 1, width)
+    .setValues([["#", "Team", "Fit Score", "EPA", "Auto EPA", "Teleop EPA", "Endgame EPA", "Best fit for"]])
+    .setFontWeight("bold");
+
+  const rows = recs.slice(0, ALLIANCE_RECS_SHOW).map((r, i) =>
+    [i + 1, r.team, r.score, r.epa, r.auto, r.teleop, r.endgame, r.why]
+  );
+  if (rows.length) sheet.getRange(top + 2, 1, rows.length, width).setValues(rows);
+}
+
+
+/**
+ * Appends a log row for every filled slot whose team differs from the last
+ * one logged for that slot. `topRec` is what we recommended before those
+ * picks. Returns the number of rows written.
+ */
+function logAlliancePicks(alliances, source, topRec) {
+  const ss  = SpreadsheetApp.getActive();
+  let log   = ss.getSheetByName(ALLIANCE_LOG_SHEET);
+  if (!log) {
+    log = ss.insertSheet(ALLIANCE_LOG_SHEET);
+    log.getRange(1, 1, 1, 6)
+      .setValues([["Timestamp", "Alliance", "Slot", "Team", "Source", "Our Top Recommendation"]])
+      .setFontWeight("bold");
+    log.setFrozenRows(1);
+  }
+
+  const lastLogged = {};
+  if (log.getLastRow() > 1) {
+    log.getRange(2, 2, log.getLastRow() - 1, 3).getValues().forEach(([a, slot, team]) => {
+      lastLogged[a + "|" + slot] = Number(team);
+    });
+  }
+
+  const now  = new Date();
+  const rows = [];
+  alliances.forEach((picks, i) => {
+    picks.forEach((team, s) => {
+      const key = (i + 1) + "|" + ALLIANCE_SLOTS[s];
+      if (!team || lastLogged[key] === team) return;
+      rows.push([now, i + 1, ALLIANCE_SLOTS[s], team, source, topRec]);
+    });
+  });
+
+  if (rows.length) log.getRange(log.getLastRow() + 1, 1, rows.length, 6).setValues(rows);
+  return rows.length;
+}
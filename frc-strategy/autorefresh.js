@@ -0,0 +1,203 @@
+// ============================================================
+// SCHEDULED AUTO REFRESH — competition days only.
+//
+// Install Auto Refresh adds a time trigger that runs every
+// AUTO_REFRESH_MINUTES (Config). Each run, while today falls
+// inside EVENT_KEY's dates on TBA (event's own time zone):
+//   1. SA_DATA_MASTER → team tabs   (pushSAData)
+//   2. masterdata → team tabs       (pushMasterdata)
+//   3. Statbotics refresh           (batched job, refreshjob.js)
+// and adds one row to the "Auto Refresh Log" tab.
+//
+// AUTO_REFRESH_PAUSED = TRUE (or menu → Pause / Resume) skips
+// runs without removing the trigger. Once the event is over the
+// trigger removes itself.
+// ============================================================
+
+const AUTO_REFRESH_HANDLER  = "autoRefreshTick";
+const AUTO_REFRESH_LOG      = "Auto Refresh Log";
+const AUTO_REFRESH_LOG_MAX  = 500;   // rows kept, newest first
+
+const AUTO_REFRESH_HEADERS = [
+  "Started", "Finished", "Seconds", "SA Rows", "Match Rows",
+  "Teams Refreshed", "Refresh Job", "Errors"
+];
+
+
+// ============================================================
+// Menu: Install Auto Refresh — replaces any existing trigger.
+// ============================================================
+function installAutoRefresh() {
+  const cfg = requireConfig(["EVENT_KEY", "TBA_KEY", "AUTO_REFRESH_MINUTES"]);
+  if (!cfg.EVENT_KEY) throw new Error("Set EVENT_KEY on the Config tab first.");
+
+  const event = fetchEventWindow(cfg.EVENT_KEY);
+  if (!event) throw new Error(`Couldn't read dates for ${cfg.EVENT_KEY} from TBA — check EVENT_KEY and the TBA key.`);
+  if (event.today > event.end) throw new Error(`${cfg.EVENT_KEY} ended on ${event.end}.`);
+
+  deleteAutoRefreshTriggers();
+  ScriptApp.newTrigger(AUTO_REFRESH_HANDLER)
+    .timeBased()
+    .everyMinutes(Number(cfg.AUTO_REFRESH_MINUTES))
+    .create();
+
+  SpreadsheetApp.getUi().alert([
+    `✅ Auto refresh installed — every ${cfg.AUTO_REFRESH_MINUTES} min.`,
+    `  • Runs only ${event.start} → ${event.end} (${event.timezone})`,
+    cfg.AUTO_REFRESH_PAUSED ? "  • ⏸ Currently PAUSED (AUTO_REFRESH_PAUSED on the Config tab)" : "",
+    `  • Each run is logged on the "${AUTO_REFRESH_LOG}" tab`
+  ].filter(l => l).join("\n"));
+}
+
+
+// ============================================================
+// Menu: Remove Auto Refresh
+// ============================================================
+function removeAutoRefresh() {
+  const removed = deleteAutoRefreshTriggers();
+  SpreadsheetApp.getUi().alert(removed ? "✅ Auto refresh removed." : "Auto refresh wasn't installed.");
+}
+
+
+// ============================================================
+// Menu: Pause / Resume Auto Refresh — flips AUTO_REFRESH_PAUSED.
+// ============================================================
+function toggleAutoRefreshPause() {
+  const paused = !getConfig().AUTO_REFRESH_PAUSED;
+  setConfigValue("AUTO_REFRESH_PAUSED", paused);
+
+  const installed = ScriptApp.getProjectTriggers().some(t => t.getHandlerFunction() === AUTO_REFRESH_HANDLER);
+  SpreadsheetApp.getUi().alert(
+    (paused ? "⏸ Auto refresh paused." : "▶️ Auto refresh resumed.") +
+    (installed ? "" : "\n\nℹ️  It isn't installed yet — use Install Auto Refresh.")
+  );
+}
+
+
+/**
+ * Trigger handler. Never throws — problems land in the log tab.
+ */
+function autoRefreshTick() {
+  const cfg = getConfig();
+  if (cfg.AUTO_REFRESH_PAUSED) return;
+
+  const started = new Date();
+  const entry   = { saRows: "", mdRows: "", teams: "", jobId: "", errors: [] };
+
+  const step = (name, fn) => {
+    try {
+      fn();
+    } catch (e) {
+      entry.errors.push(name + ": " + e.message);
+    }
+  };
+
+  // Outside the event dates → quiet skip; after the event → uninstall
+  let event = null;
+  step("Event dates", () => {
+    requireConfig(["EVENT_KEY", "TBA_KEY"]);
+    if (!cfg.EVENT_KEY) throw new Error("EVENT_KEY is blank");
+    event = fetchEventWindow(cfg.EVENT_KEY);
+    if (!event) throw new Error("couldn't read " + cfg.EVENT_KEY + " from TBA");
+  });
+
+  if (event && event.today < event.start) return;
+  if (event && event.today > event.end) {
+    deleteAutoRefreshTriggers();
+    entry.errors.push(`${cfg.EVENT_KEY} ended ${event.end} — auto refresh removed`);
+    writeAutoRefreshLog(started, entry);
+    return;
+  }
+
+  if (event) {
+    step("SA push", () => {
+      const r = pushSAData();
+      if (r.error) throw new Error(r.error);
+      entry.saRows = r.pushed;
+    });
+
+    step("Match push", () => {
+      const r = pushMasterdata();
+      if (r.error) throw new Error(r.error);
+      entry.mdRows = r.pushed;
+    });
+
+    step("Statbotics refresh", () => {
+      const prev = loadJob();
+      if (isJobStale(prev)) {
+        prev.status = "stalled";
+        writeJobStatus(prev);
+        entry.errors.push(`Statbotics refresh: ${prev.id} stalled at ${prev.cursor} of ${prev.teams.length} ` +
+                          `(no progress for ${Math.round((Date.now() - prev.updated) / 60000)} min) — restarted`);
+      } else if (prev && prev.status === "running") {
+        // Any live job (a tab build too) — starting one would replace it
+        entry.jobId = prev.id;
+        entry.teams = `${prev.cursor} of ${prev.teams.length}`;
+        throw new Error(`${prev.id} (${BATCH_JOBS[prev.type].label}) still running — refresh not started`);
+      }
+
+      const job = startRefreshJob();
+      entry.jobId = job.id;
+      entry.teams = `${job.cursor} of ${job.teams.length}` + (job.status === "running" ? " (continuing)" : "");
+      if (job.errors) entry.errors.push(`Statbotics refresh: ${job.errors} team(s) failed — last: ${job.lastError}`);
+      if (job.httpFailed) entry.errors.push(`Statbotics refresh: ${job.httpFailed} API request(s) failed after retries`);
+      if (job.tbaKeyInvalid) entry.errors.push(HTTP_TBA_KEY_MESSAGE);
+    });
+  }
+
+  writeAutoRefreshLog(started, entry);
+}
+
+
+// ── UTILITIES ────────────────────────────────────────────────────────────────
+
+/**
+ * Event dates from TBA plus today's date in the event's time zone,
+ * all as "yyyy-MM-dd" so they compare as strings. null if unknown.
+ */
+function fetchEventWindow(eventKey) {
+  const event = tbaGet("/event/" + eventKey);
+  if (!event || !event.start_date || !event.end_date) return null;
+
+  const timezone = event.timezone || Session.getScriptTimeZone();
+  return {
+    start: event.start_date,
+    end:   event.end_date,
+    timezone,
+    today: Utilities.formatDate(new Date(), timezone, "yyyy-MM-dd")
+  };
+}
+
+
+// Returns how many triggers were removed.
+function deleteAutoRefreshTriggers() {
+  const triggers = ScriptApp.getProjectTriggers().filter(t => t.getHandlerFunction() === AUTO_REFRESH_HANDLER);
+  triggers.forEach(t => ScriptApp.deleteTrigger(t));
+  return triggers.length;
+}
+
+
+function writeAutoRefreshLog(started, entry) {
+  const ss  = SpreadsheetApp.getActive();
+  let sheet = ss.getSheetByName(AUTO_REFRESH_LOG);
+  if (!sheet) {
+    sheet = ss.insertSheet(AUTO_REFRESH_LOG);
+    sheet.getRange(1, 1, 1, AUTO_REFRESH_HEADERS.length)
+      .setValues([AUTO_REFRESH_HEADERS])
+      .setFontWeight("bold");
+    sheet.setFrozenRows(1);
+  }
+
+  const finished = new Date();
+  sheet.insertRowsAfter(1, 1);
+  sheet.getRange(2, 1, 1, AUTO_REFRESH_HEADERS.length).setValues([[
+    started, finished, Math.round((finished - started) / 1000),
+    entry.saRows, entry.mdRows, entry.teams, entry.jobId,
+    entry.errors.map(e => e.replace(/\s*\n+\s*/g, " ")).join("\n")
+  ]]).setFontWeight("normal");
+
+  const extra = sheet.getLastRow() - 1 - AUTO_REFRESH_LOG_MAX;
+  if (extra > 0) sheet.deleteRows(AUTO_REFRESH_LOG_MAX + 2, extra);
+
+  Logger.log(`Auto refresh: SA ${entry.saRows}, matches ${entry.mdRows}, teams ${entry.teams}, ${entry.errors.length} error(s)`);
+}
@@ -0,0 +1,301 @@
+// ============================================================
+// PRE-MATCH BRIEFS — one printable tab per qual match.
+//
+// For every upcoming match TEAM_NUMBER plays at EVENT_KEY this
+// builds a "Brief <match>" tab with:
+//   • predicted score / win % (same model as Upcoming Matches)
+//   • each of the five other robots: EPA, auto and endgame EPA
+//     from its team tab (rows 2–4), its latest event results
+//     from the event table, and recent SA scouting notes
+//   • a suggested role for each robot on our alliance and a
+//     threat note for each opponent
+//
+// Teams without a tab fall back to live team_year data.
+//
+// Build Match Briefs also deletes "Brief …" tabs it didn't
+// rebuild (matches since played), so old briefs don't pile up.
+// A single-match brief leaves the other tabs alone.
+// ============================================================
+
+const BRIEF_PREFIX        = "Brief ";
+const BRIEF_NOTES_PER_BOT = 3;   // most recent SA notes shown per robot
+const BRIEF_EVENTS_SHOWN  = 2;   // most recent event rows shown per robot
+
+const BRIEF_HEADERS = [
+  "Team", "Role / Threat", "EPA", "Auto EPA", "Endgame EPA",
+  "Rank (District/World)", "Recent Events", "Scouting Notes"
+];
+
+
+// Menu: every upcoming qual match we're in.
+function buildMatchBriefs() {
+  const built   = buildBriefs(null);
+  const removed = removeStaleBriefs(built);
+  SpreadsheetApp.getUi().alert([
+    built.length
+      ? `✅ Built ${built.length} brief(s):\n${built.join(", ")}`
+      : "No upcoming qual matches for our team in the schedule.",
+    removed.length ? `\n🗑 Removed ${removed.length} old brief(s): ${removed.join(", ")}` : ""
+  ].filter(l => l).join("\n"));
+}
+
+
+// Menu: one match, chosen by label (e.g. qm12).
+function buildMatchBriefPrompt() {
+  const ui  = SpreadsheetApp.getUi();
+  const res = ui.prompt("Match brief", "Match to brief (e.g. qm12):", ui.ButtonSet.OK_CANCEL);
+  if (res.getSelectedButton() !== ui.Button.OK) return;
+
+  const label = res.getResponseText().trim().toLowerCase();
+  const built = buildBriefs(label);
+  ui.alert(built.length ? `✅ Built ${BRIEF_PREFIX}${label}` : `No match "${label}" with our team in it.`);
+}
+
+
+/**
+ * Builds briefs for our upcoming quals, or just `onlyLabel` (any status).
+ * Returns the labels built.
+ */
+function buildBriefs(onlyLabel) {
+  const cfg = requireConfig(["TEAM_NUMBER", "EVENT_KEY", "CURRENT_YEAR", "SA_SOURCE_SHEET", "SA_TEAM_COLUMN"]);
+  if (!cfg.TEAM_NUMBER || !cfg.EVENT_KEY) {
+    throw new Error("Set TEAM_NUMBER and EVENT_KEY on the Config tab first.");
+  }
+
+  const us      = cfg.TEAM_NUMBER;
+  const matches = fetchEventMatches(cfg.EVENT_KEY);
+  const ours    = matches
+    .filter(m => (m.alliances?.red?.team_keys || []).concat(m.alliances?.blue?.team_keys || []).includes(us))
+    .filter(m => onlyLabel ? matchLabel(m) === onlyLabel : m.comp_level === "qm" && !isMatchCompleted(m))
+    .sort((a, b) => matchSortKey(a) - matchSortKey(b));
+
+  if (!ours.length) return [];
+
+  const model = buildPredictionModel(cfg.EVENT_KEY, matches, cfg.CURRENT_YEAR);
+  const notes = collectSANotes(BRIEF_NOTES_PER_BOT);
+
+  // Everyone we'll need, read once
+  const teams = new Set();
+  ours.forEach(m => {
+    m.alliances.red.team_keys.forEach(t => teams.add(t));
+    m.alliances.blue.team_keys.forEach(t => teams.add(t));
+  });
+  const info = collectBriefTeamInfo([...teams], cfg.CURRENT_YEAR);
+
+  return ours.map(m => {
+    writeMatchBrief(m, us, model, info, notes);
+    return matchLabel(m);
+  });
+}
+
+
+// ============================================================
+// Suggested roles for our alliance: highest EPA = primary scorer,
+// anyone under 60% of that = defense / support, the rest score.
+// Auto and endgame leads are called out separately.
+// ============================================================
+function suggestRoles(alliance) {
+  const best  = Math.max(...alliance.map(r => r.epa || 0));
+  const top   = key => alliance.reduce((a, b) => ((b[key] || 0) > (a[key] || 0) ? b : a));
+  const auto  = top("autoEpa");
+  const end   = top("endgameEpa");
+  const roles = {};
+
+  alliance.forEach(r => {
+    const parts = [];
+    if ((r.epa || 0) === best && best > 0)    parts.push("Primary scorer");
+    else if ((r.epa || 0) < 0.6 * best)       parts.push("Defense / support");
+    else                                      parts.push("Secondary scorer");
+    if (r === auto && (r.autoEpa || 0) > 0)   parts.push("leads auto");
+    if (r === end  && (r.endgameEpa || 0) > 0) parts.push("endgame priority");
+    roles[r.team] = parts.join(" · ");
+  });
+  return roles;
+}
+
+
+function describeThreats(opponents) {
+  const best   = Math.max(...opponents.map(r => r.epa || 0));
+  const top    = key => opponents.reduce((a, b) => ((b[key] || 0) > (a[key] || 0) ? b : a));
+  const auto   = top("autoEpa");
+  const end    = top("endgameEpa");
+  const out    = {};
+
+  opponents.forEach(r => {
+    const parts = [];
+    if ((r.epa || 0) === best && best > 0) parts.push("Top threat — consider defense");
+    if (r === auto && (r.autoEpa || 0) > 0)    parts.push("strongest auto");
+    if (r === end  && (r.endgameEpa || 0) > 0) parts.push("strongest endgame");
+    out[r.team] = parts.join(" · ") || "—";
+  });
+  return out;
+}
+
+
+// ── UTILITIES ────────────────────────────────────────────────────────────────
+
+/**
+ * Deletes every "Brief <match>" tab whose match isn't in `keep`
+ * (labels). Only names that end in a match label (qm12, sf2m1…)
+ * count, so a tab like "Brief notes" is never touched. Returns the
+ * labels removed.
+ */
+function removeStaleBriefs(keep) {
+  const ss      = SpreadsheetApp.getActive();
+  const removed = [];
+  ss.getSheets().forEach(sheet => {
+    const name = sheet.getName();
+    if (!name.startsWith(BRIEF_PREFIX)) return;
+    const label = name.slice(BRIEF_PREFIX.length);
+    if (!/^(qm|ef|qf|sf|f)\d+(m\d+)?$/.test(label) || keep.includes(label)) return;
+    ss.deleteSheet(sheet);
+    removed.push(label);
+  });
+  return removed;
+}
+
+
+/**
+ * { team: { team, epa, autoEpa, endgameEpa, rank, recent } } from team tabs,
+ * falling back to team_year for teams without one.
+ */
+function collectBriefTeamInfo(teams, year) {
+  const ss   = SpreadsheetApp.getActive();
+  const out  = {};
+  const C    = TEAM_TAB.STAT_COLS;
+  const noTab = [];
+
+  teams.forEach(team => {
+    const sheet = ss.getSheetByName(String(team));
+    if (!sheet) { noTab.push(team); return; }
+
+    const m      = readTeamTabMetrics(sheet);
+    const recent = m.events.slice(-BRIEF_EVENTS_SHOWN).reverse().map(row => {
+      const [name, , place, rank, record] = row;
+      return [name, place && "place: " + place, rank && "rank " + rank, record].filter(x => x).join(", ");
+    });
+
+    out[team] = {
+      team,
+      epa:        m.epa,
+      autoEpa:    m.autoEpa,
+      endgameEpa: m.endgameEpa,
+      rank:       m.stats[0][C.RANK - 1],
+      recent:     recent.join("\n")
+    };
+  });
+
+  const live = fetchTeamYears(noTab, year);
+  noTab.forEach(team => {
+    const b = epaBreakdown(live[team]);
+    out[team] = {
+      team,
+      epa:        b.total,
+      autoEpa:    b.auto,
+      endgameEpa: b.endgame,
+      rank:       "",
+      recent:     "(no team tab)"
+    };
+  });
+  return out;
+}
+
+
+/**
+ * Latest `limit` text notes per team from SA_DATA_MASTER → { team: [..] }.
+ * Uses columns whose header mentions "note" or "comment"; if there are none,
+ * every non-numeric column except the team column.
+ */
+function collectSANotes(limit) {
+  const cfg = getConfig();
+  const src = SpreadsheetApp.getActive().getSheetByName(cfg.SA_SOURCE_SHEET);
+  const out = {};
+  if (!src || src.getLastRow() < 2) return out;
+
+  const headers = readSAHeaders(src);
+  if (!headers.length) return out;
+
+  const data    = src.getRange(2, 1, src.getLastRow() - 1, headers.length).getValues();
+  const teamIdx = resolveColumn(cfg.SA_TEAM_COLUMN) - 1;
+
+  let cols = headers.map((h, i) => i).filter(i => /note|comment/i.test(headers[i]));
+  if (!cols.length) {
+    cols = headers.map((h, i) => i).filter(i =>
+      i !== teamIdx && data.some(r => r[i] !== "" && isNaN(Number(r[i])))
+    );
+  }
+
+  data.forEach(row => {
+    const team = Number(row[teamIdx]);
+    if (!team) return;
+    const text = cols
+      .map(i => row[i])
+      .filter(v => v !== "" && v !== null)
+      .join(" — ");
+    if (!text) return;
+    if (!out[team]) out[team] = [];
+    out[team].push(text);
+  });
+
+  Object.keys(out).forEach(t => { out[t] = out[t].slice(-limit); });
+  return out;
+}
+
+
+function writeMatchBrief(match, us, model, info, notes) {
+  const ss    = SpreadsheetApp.getActive();
+  const label = matchLabel(match);
+  const name  = BRIEF_PREFIX + label;
+  let sheet   = ss.getSheetByName(name);
+  if (!sheet) sheet = ss.insertSheet(name);
+  sheet.clear();
+
+  const red    = match.alliances.red.team_keys;
+  const blue   = match.alliances.blue.team_keys;
+  const isRed  = red.includes(us);
+  const ours   = isRed ? red : blue;
+  const theirs = isRed ? blue : red;
+
+  const pred    = model.predict(red, blue);
+  const ourPred = isRed ? pred.red  : pred.blue;
+  const oppPred = isRed ? pred.blue : pred.red;
+  const winPct  = Math.round((isRed ? pred.redProb : 1 - pred.redProb) * 100);
+
+  const blank = t => ({ team: t, epa: null, autoEpa: null, endgameEpa: null, rank: "", recent: "" });
+  const ourBots = ours.map(t => info[t] || blank(t));
+  const oppBots = theirs.map(t => info[t] || blank(t));
+  const roles   = suggestRoles(ourBots);
+  const threats = describeThreats(oppBots);
+
+  const round = v => v === null || v === undefined ? "" : Math.round(v * 10) / 10;
+  const row   = (r, tag) => [
+    r.team === us ? r.team + " (us)" : r.team, tag,
+    round(r.epa), round(r.autoEpa), round(r.endgameEpa),
+    r.rank, r.recent, (notes[r.team] || []).join("\n")
+  ];
+
+  sheet.getRange(1, 1)
+    .setValue(`MATCH BRIEF — ${label.toUpperCase()} — we are ${isRed ? "RED" : "BLUE"}`)
+    .setFontWeight("bold")
+    .setFontSize(14);
+  sheet.getRange(2, 1).setValue(
+    `Predicted ${ourPred} – ${oppPred} • win chance ${winPct}% • built ${new Date().toLocaleString()}`
+  );
+
+  let r = 4;
+  [["OUR ALLIANCE", ourBots, roles], ["OPPONENTS", oppBots, threats]].forEach(([title, bots, tags]) => {
+    sheet.getRange(r, 1).setValue(title).setFontWeight("bold");
+    sheet.getRange(r + 1, 1, 1, BRIEF_HEADERS.length).setValues([BRIEF_HEADERS]).setFontWeight("bold");
+    sheet.getRange(r + 2, 1, bots.length, BRIEF_HEADERS.length)
+      .setValues(bots.map(b => row(b, tags[b.team])))
+      .setVerticalAlignment("top")
+      .setWrap(true);
+    r += bots.length + 3;
+  });
+
+  // Printable: fixed widths so a brief fits one landscape page
+  sheet.setColumnWidths(1, 6, 90);
+  sheet.setColumnWidth(2, 180);
+  sheet.setColumnWidth(7, 220);
+  sheet.setColumnWidth(8, 320);
+}
@@ -0,0 +1,253 @@
+// ============================================================
+// API RESPONSE CACHE
+//
+// Every Statbotics / TBA request goes through cachedFetchAll()
+// (or cachedFetch() for one URL). Responses are kept in the
+// script cache across executions:
+//   • fresh (younger than the endpoint's TTL) → served from cache
+//   • stale → re-requested with If-None-Match / If-Modified-Since,
+//     so TBA answers 304 and we keep the cached body
+//   • only 200s are cached; errors always pass straight through
+//   • misses go out through httpFetchAll() (http.js), which
+//     retries 429 / 5xx and records what still fails
+//
+// "Force Refresh" runs treat everything as stale (still using
+// ETags), and "Clear API Cache" drops every entry.
+// ============================================================
+
+// First matching pattern wins. Seconds.
+const CACHE_TTLS = [
+  { pattern: /statbotics\.io\/v3\/team_years?[\/?]/,   ttl: 6 * 3600 },  // season numbers move slowly
+  { pattern: /statbotics\.io\/v3\/team_events?[\/?]/,  ttl: 15 * 60 },
+  { pattern: /statbotics\.io\/v3\/(team_)?matches\?/,  ttl: 3 * 60 },
+  { pattern: /thebluealliance\.com.*\/alliances$/,     ttl: 2 * 60 },
+  { pattern: /thebluealliance\.com.*\/team\/frc\d+\/events\/\d{4}$/, ttl: 6 * 3600 },
+  { pattern: /thebluealliance\.com.*\/events\/\d{4}\/statuses$/, ttl: 30 * 60 },
+  { pattern: /thebluealliance\.com.*\/teams/,          ttl: 60 * 60 },
+  { pattern: /./,                                      ttl: 10 * 60 }   // everything else
+];
+
+const CACHE_MAX_SECONDS = 6 * 3600;   // CacheService hard limit
+const CACHE_CHUNK_BYTES = 90000;      // UTF-8 bytes — stay under the 100 KB value limit
+const CACHE_GEN_PROP    = "API_CACHE_GEN";
+
+let apiCacheBypass = false;   // set by the *_FORCE entry points
+
+
+// ============================================================
+// Drop-in for UrlFetchApp.fetchAll(requests). Returns objects
+// with getResponseCode() / getContentText() / getHeaders().
+// options.forceRefresh — ignore TTLs for this call.
+// ============================================================
+function cachedFetchAll(requests, options) {
+  if (!requests.length) return [];
+
+  const force   = apiCacheBypass || !!(options && options.forceRefresh);
+  const cache   = CacheService.getScriptCache();
+  const gen     = getCacheGeneration();
+  const keys    = requests.map(r => apiCacheKey(gen, r.url));
+  const entries = readCacheEntries(cache, keys);
+  const now     = Date.now();
+
+  const results = new Array(requests.length);
+  const pending = [];
+
+  requests.forEach((req, i) => {
+    const e = entries[i];
+    if (e && !force && now - e.fetchedAt < cacheTtlFor(req.url) * 1000) {
+      results[i] = cachedResponse(200, e.body, e.headers);
+      return;
+    }
+
+    const headers = Object.assign({}, req.headers || {});
+    if (e && e.etag)         headers["If-None-Match"]     = e.etag;
+    if (e && e.lastModified) headers["If-Modified-Since"] = e.lastModified;
+    pending.push({ i, req: Object.assign({}, req, { headers, muteHttpExceptions: true }) });
+  });
+
+  if (pending.length) {
+    const responses = httpFetchAll(pending.map(p => p.req));
+    const toWrite   = {};
+
+    responses.forEach((res, j) => {
+      const i    = pending[j].i;
+      const code = res.getResponseCode();
+      const e    = entries[i];
+
+      if (code === 304 && e) {
+        e.fetchedAt    = now;
+        toWrite[keys[i]] = e;
+        results[i]     = cachedResponse(200, e.body, e.headers);
+        return;
+      }
+
+      if (code === 200) {
+        const headers = res.getHeaders() || {};
+        toWrite[keys[i]] = {
+          fetchedAt:    now,
+          etag:         headerValue(headers, "ETag"),
+          lastModified: headerValue(headers, "Last-Modified"),
+          headers:      {},
+          body:         res.getContentText()
+        };
+      }
+      results[i] = res;
+    });
+
+    writeCacheEntries(cache, toWrite);
+  }
+
+  return results;
+}
+
+
+// Drop-in for UrlFetchApp.fetch(url, params).
+function cachedFetch(url, params, options) {
+  return cachedFetchAll([Object.assign({ url }, params || {})], options)[0];
+}
+
+
+// ============================================================
+// Menu: Clear API Cache — bumps the generation number, so every
+// old entry is simply never looked up again (and expires).
+// ============================================================
+function clearApiCache() {
+  const props = PropertiesService.getScriptProperties();
+  props.setProperty(CACHE_GEN_PROP, String(getCacheGeneration() + 1));
+  SpreadsheetApp.getUi().alert("✅ API cache cleared. The next refresh will fetch everything fresh.");
+}
+
+
+// ============================================================
+// Menu: Force Refresh — refreshStatboticsStats ignoring TTLs.
+// ============================================================
+function refreshStatboticsStats_FORCE() {
+  apiCacheBypass = true;
+  try {
+    refreshStatboticsStats();
+  } finally {
+    apiCacheBypass = false;
+  }
+}
+
+
+// ── UTILITIES ────────────────────────────────────────────────────────────────
+
+function cacheTtlFor(url) {
+  return CACHE_TTLS.find(t => t.pattern.test(url)).ttl;
+}
+
+
+function getCacheGeneration() {
+  return Number(PropertiesService.getScriptProperties().getProperty(CACHE_GEN_PROP)) || 0;
+}
+
+
+/**
+ * Cache keys must stay under 250 chars, so URLs are hashed.
+ */
+function apiCacheKey(gen, url) {
+  const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, url);
+  return "api" + gen + ":" + Utilities.base64EncodeWebSafe(digest);
+}
+
+
+function cachedResponse(code, body, headers) {
+  return {
+    getResponseCode: () => code,
+    getContentText:  () => body,
+    getHeaders:      () => headers || {}
+  };
+}
+
+
+/**
+ * Case-insensitive header lookup ("ETag" vs "Etag" vs "etag").
+ */
+function headerValue(headers, name) {
+  const want = name.toLowerCase();
+  const key  = Object.keys(headers).find(k => k.toLowerCase() === want);
+  return key ? headers[key] : "";
+}
+
+
+/**
+ * Reads entries for many keys at once. Bodies are split across
+ * "<key>#0", "<key>#1" … chunks; a missing chunk counts as a miss.
+ */
+function readCacheEntries(cache, keys) {
+  const metas  = cache.getAll(keys);
+  const parsed = keys.map(k => {
+    try { return metas[k] ? JSON.parse(metas[k]) : null; }
+    catch (e) { return null; }
+  });
+
+  const chunkKeys = [];
+  parsed.forEach((m, i) => {
+    if (!m) return;
+    for (let c = 0; c < m.chunks; c++) chunkKeys.push(keys[i] + "#" + c);
+  });
+  const chunks = chunkKeys.length ? cache.getAll(chunkKeys) : {};
+
+  return parsed.map((m, i) => {
+    if (!m) return null;
+    const parts = [];
+    for (let c = 0; c < m.chunks; c++) {
+      const part = chunks[keys[i] + "#" + c];
+      if (part === undefined || part === null) return null;
+      parts.push(part);
+    }
+    m.body = parts.join("");
+    return m;
+  });
+}
+
+
+/**
+ * Splits `body` into pieces of at most CACHE_CHUNK_BYTES UTF-8 bytes
+ * (the cache limit counts bytes, and nicknames / error text can be
+ * multi-byte). Never splits a character. Always at least one piece.
+ */
+function splitCacheChunks(body) {
+  const parts = [];
+  let start = 0, bytes = 0, i = 0;
+  for (const ch of body) {
+    const cp   = ch.codePointAt(0);
+    const size = cp < 0x80 ? 1 : cp < 0x800 ? 2 : cp < 0x10000 ? 3 : 4;
+    if (bytes + size > CACHE_CHUNK_BYTES) {
+      parts.push(body.slice(start, i));
+      start = i;
+      bytes = 0;
+    }
+    bytes += size;
+    i     += ch.length;
+  }
+  parts.push(body.slice(start));
+  return parts;
+}
+
+
+function writeCacheEntries(cache, entries) {
+  const values = {};
+  Object.keys(entries).forEach(key => {
+    const e      = entries[key];
+    const parts  = splitCacheChunks(e.body || "");
+    const chunks = parts.length;
+
+    parts.forEach((part, c) => { values[key + "#" + c] = part; });
+    values[key] = JSON.stringify({
+      fetchedAt:    e.fetchedAt,
+      etag:         e.etag,
+      lastModified: e.lastModified,
+      headers:      e.headers,
+      chunks
+    });
+  });
+
+  if (!Object.keys(values).length) return;
+  try {
+    cache.putAll(values, CACHE_MAX_SECONDS);
+  } catch (e) {
+    Logger.log("API cache write skipped: " + e);   // cache is best-effort
+  }
+}
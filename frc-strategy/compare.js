@@ -0,0 +1,327 @@
+// ============================================================
+// COMPARE — 2–4 teams side by side.
+//
+// Type team numbers into B2:E2 on the "Compare" tab and run
+// Build Comparison. Below them, one column per team:
+//   STATS            the "Current" stat row of each team tab
+//                    (writeStatRows), plus EPA for the two older
+//                    rows; the best number in each row is green
+//   SHARED EVENTS    EVENT_YEAR events two or more of the teams
+//                    attended, with each one's result there
+//   MATCHES          every match at those events where two of
+//                    the teams played together or against each
+//                    other (Statbotics matches), and a per-pair
+//                    tally
+//   SCOUTING         SA_DATA_MASTER means and counts
+//                    (aggregateSAData)
+//   RADAR            EPA breakdown and scouting means scaled
+//                    0–100 against the best of the group, drawn
+//                    as a radar chart
+//
+// Stats and events are read off the team tabs, so run setup /
+// refresh for a team before comparing it. Everything from row
+// COMPARE_FIRST_ROW down is rewritten on every build.
+// ============================================================
+
+const COMPARE_SHEET     = "Compare";
+const COMPARE_MAX_TEAMS = 4;
+const COMPARE_FIRST_ROW = 4;           // rows 1–2 = title + team inputs
+const COMPARE_BEST_COLOR = "#d9ead3";
+const COMPARE_CHART_TITLE = "Team comparison (best of the group = 100)";
+
+// Stat rows, by team tab column (TEAM_TAB.STAT_COLS); higher is better.
+const COMPARE_STATS = [
+  { label: "EPA",                    col: "EPA" },
+  { label: "Auto EPA",               col: "AUTO_EPA" },
+  { label: "Endgame EPA",            col: "ENDGAME_EPA" },
+  { label: "EPA Percentile",         col: "EPA_PCT" },
+  { label: "Auto EPA Percentile",    col: "AUTO_PCT" },
+  { label: "Endgame EPA Percentile", col: "ENDGAME_PCT" },
+  { label: "Norm EPA",               col: "NORM_EPA" },
+  { label: "Win/Loss Ratio",         col: "WIN_LOSS" },
+  { label: "Rank (District/World)",  col: "RANK" }
+];
+
+
+// ============================================================
+// Menu: Build Comparison
+// ============================================================
+function buildComparison() {
+  const cfg   = requireConfig(["EVENT_YEAR"]);
+  const ss    = SpreadsheetApp.getActive();
+  const sheet = getOrCreateCompareSheet();
+  const ui    = SpreadsheetApp.getUi();
+
+  const teams = sheet.getRange(2, 2, 1, COMPARE_MAX_TEAMS).getValues()[0]
+    .map(v => parseInt(v))
+    .filter((t, i, all) => !isNaN(t) && t > 0 && all.indexOf(t) === i);
+  if (teams.length < 2) {
+    ss.setActiveSheet(sheet);
+    ui.alert(`Type 2–${COMPARE_MAX_TEAMS} team numbers into B2:${columnLetter(1 + COMPARE_MAX_TEAMS)}2 on "${COMPARE_SHEET}", then run Build Comparison again.`);
+    return;
+  }
+
+  const missing = teams.filter(t => !ss.getSheetByName(String(t)));
+  const metrics = {};
+  teams.forEach(t => {
+    const tab = ss.getSheetByName(String(t));
+    metrics[t] = tab ? readTeamTabMetrics(tab) : null;
+  });
+
+  const agg     = aggregateSAData();
+  const shared  = sharedEvents(teams, metrics);
+  const matches = compareMatches(teams, shared);
+
+  // Clear the old build
+  sheet.getCharts().forEach(c => sheet.removeChart(c));
+  const lastRow = Math.max(sheet.getLastRow(), COMPARE_FIRST_ROW);
+  sheet.getRange(COMPARE_FIRST_ROW, 1, lastRow - COMPARE_FIRST_ROW + 1, Math.max(sheet.getLastColumn(), 1))
+    .clearContent()
+    .setFontWeight("normal")
+    .setBackground(null);
+
+  let row = COMPARE_FIRST_ROW;
+  row = writeCompareBlock(sheet, row, "STATS", ["", ...teams], compareStatRows(teams, metrics), true);
+  row = writeCompareBlock(sheet, row, `SHARED EVENTS (${cfg.EVENT_YEAR})`, ["Event", ...teams],
+    shared.map(e => [e.name, ...teams.map(t => e.results[t] || "—")]));
+  row = writeCompareBlock(sheet, row, "HEAD TO HEAD", ["Pair", "Together", "Together W-L-T", "Against", "Against W-L-T (first team)"],
+    matches.pairs);
+  row = writeCompareBlock(sheet, row, "MATCHES", ["Event", "Match", "Teams", "Red", "Blue", "Red Score", "Blue Score", "Winner"],
+    matches.rows);
+  row = writeCompareBlock(sheet, row, "SCOUTING", ["", ...teams], compareScoutingRows(teams, agg), true);
+
+  const radar    = compareRadarRows(teams, metrics, agg);
+  const radarRow = row;
+  row = writeCompareBlock(sheet, row, "RADAR (best of the group = 100)", ["Metric", ...teams], radar);
+  if (radar.length >= 3) {
+    insertCompareRadar(sheet, sheet.getRange(radarRow + 1, 1, radar.length + 1, teams.length + 1));
+  }
+
+  sheet.autoResizeColumns(1, Math.max(8, teams.length + 1));
+  ss.setActiveSheet(sheet);
+  SpreadsheetApp.flush();
+
+  const summary = [
+    `Done! Compared ${teams.join(", ")}.`,
+    `  • ${shared.length} shared event(s), ${matches.rows.length} match(es) together or against`,
+    `  • ${agg.numeric.length + agg.categorical.length} scouting metric(s)`,
+    radar.length >= 3 ? "" : "  ⚠️  Fewer than 3 radar metrics with data — no chart.",
+    missing.length ? `  ⚠️  No team tab for ${missing.join(", ")} — stats and events left blank (run setup first).` : ""
+  ].filter(l => l).join("\n");
+
+  Logger.log(summary);
+  ui.alert(summary);
+}
+
+
+// ── SECTIONS ─────────────────────────────────────────────────────────────────
+
+/**
+ * Stat rows: [label, value per team]. Current row, then EPA for the
+ * older stat rows.
+ */
+function compareStatRows(teams, metrics) {
+  const C     = TEAM_TAB.STAT_COLS;
+  const value = (t, r, col) => metrics[t] ? metrics[t].stats[r][col - 1] : "";
+
+  const rows = COMPARE_STATS.map(s => [s.label, ...teams.map(t => value(t, 0, C[s.col]))]);
+  rows.push(["EPA — Last Year",    ...teams.map(t => value(t, 1, C.EPA))]);
+  rows.push(["EPA — Past 3 Years", ...teams.map(t => value(t, 2, C.EPA))]);
+  return rows;
+}
+
+
+/**
+ * EVENT_YEAR events at least two of the teams attended (from the
+ * team tabs' event tables): [{ key, name, results: { team: text } }].
+ */
+function sharedEvents(teams, metrics) {
+  const byKey = {};
+  const order = [];
+  teams.forEach(t => {
+    (metrics[t] ? metrics[t].events : []).forEach(row => {
+      const key = String(row[TEAM_TAB.EVENT_KEY_COL - 1] || "").trim();
+      if (!key) return;
+      if (!byKey[key]) {
+        byKey[key] = { key, name: row[0], results: {} };
+        order.push(key);
+      }
+      byKey[key].results[t] = compareEventResult(row);
+    });
+  });
+  return order.map(k => byKey[k]).filter(e => Object.keys(e.results).length >= 2);
+}
+
+
+// "Qual #3 • 10W-2L-0T • Winner" from an event table row.
+function compareEventResult(row) {
+  const C = COLUMN_MAP;
+  return [
+    row[C.QUAL_RANK.col - 1] !== "" ? "Qual #" + row[C.QUAL_RANK.col - 1] : "",
+    row[C.WIN_RATE.col - 1],                 // the Prelim Record column
+    row[C.FINAL_PLACE.col - 1]
+  ].filter(v => v !== "" && v !== null && v !== undefined).join(" • ") || "attended";
+}
+
+
+/**
+ * Matches at `events` with two or more of the teams in them.
+ * Returns { rows: [...], pairs: [[pair, together, W-L-T, against, W-L-T]] };
+ * W-L-T counts finished matches only.
+ */
+function compareMatches(teams, events) {
+  const pairKey = (a, b) => a + " & " + b;
+  const tally   = {};
+  for (let i = 0; i < teams.length; i++) {
+    for (let j = i + 1; j < teams.length; j++) {
+      tally[pairKey(teams[i], teams[j])] = { together: [0, 0, 0], against: [0, 0, 0] };
+    }
+  }
+
+  const rows = [];
+  events.forEach(e => {
+    fetchEventMatches(e.key)
+      .slice()
+      .sort((a, b) => matchSortKey(a) - matchSortKey(b))
+      .forEach(m => {
+        const ours = teams.filter(t => teamSide(m, t));
+        if (ours.length < 2) return;
+
+        const redResult = matchResultFor(m, "red");   // "" until played
+        const done      = redResult !== "";
+
+        // `ours` keeps the input order, so W-L-T is always from a's side
+        const outcome = t => ({ W: 0, L: 1, T: 2 })[matchResultFor(m, teamSide(m, t))];
+        const labels  = [];
+        for (let i = 0; i < ours.length; i++) {
+          for (let j = i + 1; j < ours.length; j++) {
+            const a = ours[i], b = ours[j];
+            const together = teamSide(m, a) === teamSide(m, b);
+            labels.push(together ? `${a} + ${b}` : `${a} vs ${b}`);
+            if (done) tally[pairKey(a, b)][together ? "together" : "against"][outcome(a)]++;
+          }
+        }
+
+        rows.push([
+          e.name, matchLabel(m), labels.join(", "),
+          m.alliances.red.team_keys.join(", "), m.alliances.blue.team_keys.join(", "),
+          done ? m.result.red_score : "", done ? m.result.blue_score : "",
+          { W: "Red", L: "Blue", T: "Tie" }[redResult] || ""
+        ]);
+      });
+  });
+
+  const n     = r => r[0] + r[1] + r[2];
+  const pairs = Object.keys(tally).map(k => {
+    const t = tally[k];
+    return [k, n(t.together), t.together.join("-"), n(t.against), t.against.join("-")];
+  });
+  return { rows, pairs };
+}
+
+
+/**
+ * Scouting rows: numeric means, then categorical counts.
+ */
+function compareScoutingRows(teams, agg) {
+  const entry = t => agg.byTeam[t];
+  const rows  = [["Rows scouted", ...teams.map(t => entry(t) ? entry(t).rows : 0)]];
+
+  agg.numeric.forEach(h => rows.push([h, ...teams.map(t => {
+    const s = entry(t) && entry(t).stats[h];
+    return s && s.mean !== null ? s.mean : "";
+  })]));
+  agg.categorical.forEach(h => rows.push([h, ...teams.map(t => entry(t) ? formatCounts(entry(t).counts[h]) : "")]));
+  return rows;
+}
+
+
+/**
+ * Radar axes with data for at least one team, each scaled so the
+ * group's best = 100.
+ */
+function compareRadarRows(teams, metrics, agg) {
+  const C    = TEAM_TAB.STAT_COLS;
+  const num  = v => (v === "" || v === null || v === undefined || isNaN(Number(v))) ? null : Number(v);
+  const axes = [
+    { label: "EPA",         get: t => metrics[t] && num(metrics[t].stats[0][C.EPA - 1]) },
+    { label: "Auto EPA",    get: t => metrics[t] && num(metrics[t].stats[0][C.AUTO_EPA - 1]) },
+    { label: "Endgame EPA", get: t => metrics[t] && num(metrics[t].stats[0][C.ENDGAME_EPA - 1]) },
+    { label: "Win/Loss",    get: t => metrics[t] && num(metrics[t].stats[0][C.WIN_LOSS - 1]) }
+  ].concat(agg.numeric.map(h => ({
+    label: h,
+    get:   t => agg.byTeam[t] ? agg.byTeam[t].stats[h].mean : null
+  })));
+
+  return axes
+    .map(a => ({ label: a.label, values: teams.map(t => a.get(t)) }))
+    .filter(a => a.values.some(v => v !== null && v > 0))
+    .map(a => {
+      const best = Math.max(...a.values.filter(v => v !== null));
+      return [a.label, ...a.values.map(v => v === null ? 0 : Math.round(Math.max(v, 0) / best * 100))];
+    });
+}
+
+
+// ── UTILITIES ────────────────────────────────────────────────────────────────
+
+/**
+ * Writes a bold title, a bold header row and `rows` from `row`; with
+ * `highlight`, the largest number in each row gets COMPARE_BEST_COLOR.
+ * Returns the row after the block plus one blank row.
+ */
+function writeCompareBlock(sheet, row, title, header, rows, highlight) {
+  sheet.getRange(row, 1).setValue(title).setFontWeight("bold");
+  sheet.getRange(row + 1, 1, 1, header.length).setValues([header]).setFontWeight("bold");
+
+  if (!rows.length) {
+    sheet.getRange(row + 2, 1).setValue("—");
+    return row + 4;
+  }
+
+  const width = header.length;
+  sheet.getRange(row + 2, 1, rows.length, width).setValues(rows.map(r => r.concat(new Array(width).fill("")).slice(0, width)));
+
+  if (highlight) {
+    rows.forEach((r, i) => {
+      const nums = r.slice(1).map(v => (v === "" || v === null || isNaN(Number(v))) ? null : Number(v));
+      const have = nums.filter(v => v !== null);
+      if (have.length < 2) return;
+      const best = Math.max(...have);
+      nums.forEach((v, j) => {
+        if (v === best) sheet.getRange(row + 2 + i, j + 2).setBackground(COMPARE_BEST_COLOR);
+      });
+    });
+  }
+  return row + 2 + rows.length + 1;
+}
+
+
+function insertCompareRadar(sheet, range) {
+  const chart = sheet.newChart()
+    .setChartType(Charts.ChartType.RADAR)
+    .addRange(range)
+    .setNumHeaders(1)
+    .setOption("title", COMPARE_CHART_TITLE)
+    .setOption("legend.position", "right")
+    .setOption("width", DASHBOARD_CHART_WIDTH)
+    .setOption("height", DASHBOARD_CHART_HEIGHT)
+    .setPosition(COMPARE_FIRST_ROW, 3 + COMPARE_MAX_TEAMS + 4, 0, 0)
+    .build();
+  sheet.insertChart(chart);
+}
+
+
+function getOrCreateCompareSheet() {
+  const ss  = SpreadsheetApp.getActive();
+  let sheet = ss.getSheetByName(COMPARE_SHEET);
+  if (!sheet) {
+    sheet = ss.insertSheet(COMPARE_SHEET);
+    sheet.getRange(1, 1)
+      .setValue(`COMPARE — type 2–${COMPARE_MAX_TEAMS} team numbers in row 2, then 🤖 Scouting Tools → Build Comparison`)
+      .setFontWeight("bold");
+    sheet.getRange(2, 1).setValue("Teams").setFontWeight("bold");
+    sheet.setFrozenRows(2);
+  }
+  return sheet;
+}
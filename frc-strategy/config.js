@@ -0,0 +1,325 @@
+// ============================================================
+// CONFIG — one "Config" tab instead of constants in code.
+//
+// Every setting lives in a row of the "Config" tab:
+//   Setting | Value | Description
+// Secrets (the TBA key) live in Script Properties instead, so
+// they never show up in a shared spreadsheet.
+//
+// Run setupConfigSheet() once (or use the menu) to create the
+// tab with defaults, then "Check Config" before an event.
+// ============================================================
+
+const CONFIG_SHEET = "Config";
+
+// type: "int" | "year" | "string" | "column" | "enum" | "eventKey" | "secret"
+// A field with no default is required. optional: true allows it to stay blank.
+const CONFIG_FIELDS = [
+  { key: "TEAM_NUMBER",     type: "int",      optional: true,
+    help: "Our team number (used by strategy tools)." },
+  { key: "EVENT_KEY",       type: "eventKey", optional: true,
+    help: "TBA event key we're attending, e.g. 2026casj." },
+  { key: "EVENT_YEAR",      type: "year",     default: () => new Date().getFullYear(),
+    help: "Season whose events fill the event table on team tabs." },
+  { key: "CURRENT_YEAR",    type: "year",     default: () => new Date().getFullYear(),
+    help: "Season used for the \"Current\" stat row." },
+
+  { key: "SA_SOURCE_SHEET", type: "string",   default: "SA_DATA_MASTER",
+    help: "Tab holding SA scouting rows." },
+  { key: "SA_TEAM_COLUMN",  type: "column",   default: "A",
+    help: "Column with team numbers in the SA tab (A, B, C… or 1, 2, 3…)." },
+  { key: "SA_ROWS_GAP",     type: "int",      default: 5, min: 0, max: 50,
+    help: "Blank rows left above each new section on a team tab." },
+  { key: "SA_ALLOWED_TEAMS", type: "enum",    default: "TEAMS_TAB", options: ["TEAMS_TAB", "TBA_EVENT", "ANY"],
+    help: "SA validation: teams a row may name — the Teams tab, TBA's EVENT_KEY list, or ANY." },
+  { key: "SA_HOLD_FLAGGED", type: "bool",     default: false,
+    help: "TRUE = the SA push skips rows SA validation flags, until they're fixed." },
+  { key: "SA_QR_DELIMITER", type: "string",   default: "TAB",
+    help: "Field separator in scouting-app QR scans for SA Import: TAB, or the character itself (| , ;)." },
+  { key: "MD_SOURCE_SHEET", type: "string",   default: "masterdata",
+    help: "Tab holding match-scouting rows." },
+  { key: "HISTORY_SEASONS", type: "int",      default: 5, min: 1, max: 25,
+    help: "Seasons shown in each team tab's SEASON HISTORY section (ending at CURRENT_YEAR)." },
+  { key: "MANUAL_EDITS",    type: "enum",     default: "KEEP", options: ["KEEP", "OVERWRITE"],
+    help: "Hand edits to script-filled team tab cells: KEEP them, or OVERWRITE (tab backed up first)." },
+
+  { key: "GRAPH_X",         type: "enum",     default: "DISTRICT_PTS", options: () => Object.keys(COLUMN_MAP),
+    help: "X axis of the first chart seeded on the Dashboards tab." },
+  { key: "GRAPH_Y",         type: "enum",     default: "PCT_ERROR",    options: () => Object.keys(COLUMN_MAP),
+    help: "Y axis of the first chart seeded on the Dashboards tab." },
+  { key: "GRAPH_TITLE",     type: "string",   optional: true,
+    help: "Title of that first chart. Blank = \"<X> VS <Y>\"." },
+
+  { key: "ALLIANCE_SOURCE", type: "enum",     default: "AUTO", options: ["AUTO", "TBA", "MANUAL"],
+    help: "Alliance Selection: AUTO = TBA, manual grid when TBA has nothing yet." },
+
+  { key: "REFRESH_BATCH_SIZE", type: "int",  default: 25, min: 1, max: 500,
+    help: "Teams per run for setup / refresh; the rest continue a minute later." },
+  { key: "AUTO_REFRESH_MINUTES", type: "enum", default: "15", options: ["1", "5", "10", "15", "30"],
+    help: "How often scheduled auto refresh runs (minutes)." },
+  { key: "AUTO_REFRESH_PAUSED",  type: "bool", default: false,
+    help: "TRUE = scheduled auto refresh skips its runs (triggers stay installed)." },
+
+  { key: "EXPORT_FOLDER",   type: "string",   default: "FRC Strategy Exports",
+    help: "Drive folder for exports — a folder name (created if missing) or a folder id." },
+
+  { key: "TBA_KEY",         type: "secret",
+    help: "The Blue Alliance read key. Set via menu → Set TBA API Key." }
+];
+
+let configCache = null;
+
+
+// ============================================================
+// Loads every setting (defaults filled in). Cached per run.
+// Never throws — use requireConfig() when values must be valid.
+// ============================================================
+function getConfig() {
+  if (!configCache) configCache = loadConfig().config;
+  return configCache;
+}
+
+
+// ============================================================
+// Validates the given keys (all keys if omitted) and throws one
+// error listing every problem. Call at the top of each entry point.
+// ============================================================
+function requireConfig(keys) {
+  const { config, problems } = loadConfig();
+  configCache = config;
+
+  const relevant = keys
+    ? problems.filter(p => keys.includes(p.key))
+    : problems;
+
+  if (relevant.length) {
+    throw new Error(
+      "Config problems — fix the \"" + CONFIG_SHEET + "\" tab and run again:\n" +
+      relevant.map(p => "• " + p.key + ": " + p.message).join("\n")
+    );
+  }
+  return config;
+}
+
+
+// ============================================================
+// Menu: Check Config — reports every missing or invalid value.
+// ============================================================
+function checkConfig() {
+  const ss = SpreadsheetApp.getActive();
+  const { config, problems } = loadConfig();
+  configCache = config;
+
+  const lines = [];
+  if (!ss.getSheetByName(CONFIG_SHEET)) {
+    lines.push(`ℹ️  No "${CONFIG_SHEET}" tab yet — defaults are in use. Run Set Up Config Sheet to create it.`, "");
+  }
+
+  if (problems.length) {
+    lines.push(`❌ ${problems.length} problem(s):`);
+    problems.forEach(p => lines.push(`  • ${p.key}: ${p.message}`));
+  } else {
+    lines.push("✅ Config looks good.");
+  }
+
+  lines.push("", "Values in use:");
+  CONFIG_FIELDS.forEach(f => {
+    const v = config[f.key];
+    const shown = f.type === "secret" ? (v ? "(set)" : "(not set)") : (v === "" ? "(blank)" : v);
+    lines.push(`  ${f.key} = ${shown}`);
+  });
+
+  const report = lines.join("\n");
+  Logger.log(report);
+  SpreadsheetApp.getUi().alert(report);
+}
+
+
+// ============================================================
+// Menu: Set Up Config Sheet — creates the tab, or adds rows for
+// any settings it's missing. Existing values are never touched.
+// ============================================================
+function setupConfigSheet() {
+  const ss  = SpreadsheetApp.getActive();
+  let sheet = ss.getSheetByName(CONFIG_SHEET);
+  if (!sheet) sheet = ss.insertSheet(CONFIG_SHEET);
+
+  sheet.getRange(1, 1, 1, 3)
+    .setValues([["Setting", "Value", "Description"]])
+    .setFontWeight("bold");
+
+  const existing = readConfigSheet(sheet);
+  const toAdd    = CONFIG_FIELDS
+    .filter(f => f.type !== "secret" && !(f.key in existing))
+    .map(f => [f.key, configDefault(f), f.help]);
+
+  if (toAdd.length) {
+    const start = Math.max(sheet.getLastRow(), 1) + 1;
+    sheet.getRange(start, 1, toAdd.length, 3).setValues(toAdd);
+  }
+
+  sheet.getRange(1, 1, Math.max(sheet.getLastRow(), 1), 1).setFontWeight("bold");
+  sheet.setFrozenRows(1);
+  sheet.autoResizeColumns(1, 3);
+  configCache = null;
+
+  SpreadsheetApp.getUi().alert(
+    `✅ "${CONFIG_SHEET}" ready — ${toAdd.length} setting(s) added.\n\n` +
+    "Set the TBA key with menu → Set TBA API Key, then run Check Config."
+  );
+}
+
+
+// ============================================================
+// Menu: Set TBA API Key — stores it in Script Properties.
+// ============================================================
+function setTbaKey() {
+  const ui  = SpreadsheetApp.getUi();
+  const res = ui.prompt(
+    "The Blue Alliance API key",
+    "Paste your TBA read key (thebluealliance.com/account). Leave blank to remove it.",
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (res.getSelectedButton() !== ui.Button.OK) return;
+
+  const key   = res.getResponseText().trim();
+  const props = PropertiesService.getScriptProperties();
+  if (key) props.setProperty("TBA_KEY", key);
+  else     props.deleteProperty("TBA_KEY");
+
+  configCache = null;
+  ui.alert(key ? "✅ TBA key saved." : "TBA key removed.");
+}
+
+
+// ── UTILITIES ────────────────────────────────────────────────────────────────
+
+/**
+ * Reads the Config tab and script properties, applies defaults and
+ * validates every field. Returns { config, problems }.
+ */
+function loadConfig() {
+  const sheet  = SpreadsheetApp.getActive().getSheetByName(CONFIG_SHEET);
+  const raw    = sheet ? readConfigSheet(sheet) : {};
+  const props  = PropertiesService.getScriptProperties();
+
+  const config   = {};
+  const problems = [];
+
+  CONFIG_FIELDS.forEach(f => {
+    let value = f.type === "secret" ? props.getProperty(f.key) : raw[f.key];
+    if (value === undefined || value === null || String(value).trim() === "") {
+      value = configDefault(f);
+    }
+
+    if (value === "") {
+      config[f.key] = "";
+      if (!f.optional) problems.push({ key: f.key, message: "missing" });
+      return;
+    }
+
+    const parsed = parseConfigValue(f, value);
+    if (parsed.error) {
+      problems.push({ key: f.key, message: parsed.error });
+      config[f.key] = configDefault(f);
+    } else {
+      config[f.key] = parsed.value;
+    }
+  });
+
+  if (!config.GRAPH_TITLE) config.GRAPH_TITLE = config.GRAPH_X + " VS " + config.GRAPH_Y;
+
+  return { config, problems };
+}
+
+
+/**
+ * Returns { SETTING: value } for every non-blank setting name in column A.
+ */
+function readConfigSheet(sheet) {
+  const lastRow = sheet.getLastRow();
+  const out     = {};
+  if (lastRow < 2) return out;
+
+  sheet.getRange(2, 1, lastRow - 1, 2).getValues().forEach(([k, v]) => {
+    const key = String(k).trim().toUpperCase();
+    if (key) out[key] = v;
+  });
+  return out;
+}
+
+
+/**
+ * Writes one setting to the Config tab (adding its row if needed).
+ */
+function setConfigValue(key, value) {
+  const ss  = SpreadsheetApp.getActive();
+  let sheet = ss.getSheetByName(CONFIG_SHEET);
+  if (!sheet) {
+    sheet = ss.insertSheet(CONFIG_SHEET);
+    sheet.getRange(1, 1, 1, 3).setValues([["Setting", "Value", "Description"]]).setFontWeight("bold");
+  }
+
+  const lastRow = sheet.getLastRow();
+  const keys    = lastRow > 1
+    ? sheet.getRange(2, 1, lastRow - 1, 1).getValues().map(r => String(r[0]).trim().toUpperCase())
+    : [];
+  const idx     = keys.indexOf(key);
+
+  if (idx >= 0) {
+    sheet.getRange(idx + 2, 2).setValue(value);
+  } else {
+    const f = CONFIG_FIELDS.find(x => x.key === key);
+    sheet.getRange(Math.max(lastRow, 1) + 1, 1, 1, 3).setValues([[key, value, f ? f.help : ""]]);
+  }
+  configCache = null;
+}
+
+
+function configDefault(f) {
+  if (f.default === undefined) return "";
+  return typeof f.default === "function" ? f.default() : f.default;
+}
+
+
+/**
+ * Parses one raw value for a field. Returns { value } or { error }.
+ */
+function parseConfigValue(f, raw) {
+  const s = String(raw).trim();
+
+  switch (f.type) {
+    case "int": {
+      const n = Number(s);
+      if (!Number.isInteger(n))                   return { error: `"${s}" is not a whole number` };
+      if (f.min !== undefined && n < f.min)       return { error: `${n} is below the minimum (${f.min})` };
+      if (f.max !== undefined && n > f.max)       return { error: `${n} is above the maximum (${f.max})` };
+      return { value: n };
+    }
+    case "year": {
+      const n   = Number(s);
+      const max = new Date().getFullYear() + 1;
+      if (!Number.isInteger(n) || n < 1992 || n > max) return { error: `"${s}" is not a season between 1992 and ${max}` };
+      return { value: n };
+    }
+    case "column":
+      return resolveColumn(raw) ? { value: s.toUpperCase() } : { error: `"${s}" is not a column letter or number` };
+    case "enum": {
+      const options = typeof f.options === "function" ? f.options() : f.options;
+      const v       = s.toUpperCase();
+      return options.includes(v) ? { value: v } : { error: `"${s}" must be one of ${options.join(", ")}` };
+    }
+    case "bool": {
+      const v = s.toUpperCase();
+      if (["TRUE", "YES", "Y", "1"].includes(v))  return { value: true };
+      if (["FALSE", "NO", "N", "0"].includes(v)) return { value: false };
+      return { error: `"${s}" must be TRUE or FALSE` };
+    }
+    case "eventKey":
+      return /^\d{4}[a-z0-9]+$/.test(s.toLowerCase())
+        ? { value: s.toLowerCase() }
+        : { error: `"${s}" doesn't look like an event key (e.g. 2026casj)` };
+    default:
+      return { value: s };
+  }
+}
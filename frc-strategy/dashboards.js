@@ -0,0 +1,376 @@
+// ============================================================
+// DASHBOARDS — many charts from one definition sheet.
+//
+// Each row of the "Dashboards" tab defines one chart:
+//   Title       — unique; also how the chart is found again
+//   Chart Type  — SCATTER, BAR, LINE (over the season), HISTOGRAM
+//   X / Y       — fields below (HISTOGRAM only uses X)
+//   Teams       — blank = every team tab, else "254, 971, 1678"
+//   Events      — blank = all, else name fragments / district
+//                 codes: "silicon valley, CHS"
+//   Color By    — split into one series per value (TEAM, EVENT…)
+//
+// Points carry no team-number labels: charts built from Apps
+// Script can't take a label column. Color By = TEAM puts each
+// team in the legend instead.
+//
+// Build Dashboards draws every chart onto the "Dashboard" tab,
+// two per row. Charts are updated in place (matched by title),
+// so their size and any manual styling survive a rebuild; charts
+// whose row was deleted are removed. Chart data lives on the
+// hidden "Dashboard Data" tab.
+//
+// Data comes from the event table on each team tab (one point
+// per team per event), including the event EPA column; only rows
+// written before that column existed are fetched, in one batch.
+// The first run seeds one row from the GRAPH_X / GRAPH_Y /
+// GRAPH_TITLE config settings.
+// ============================================================
+
+const DASHBOARD_DEFS_SHEET = "Dashboards";
+const DASHBOARD_SHEET      = "Dashboard";
+const DASHBOARD_DATA_SHEET = "Dashboard Data";
+
+const DASHBOARD_HEADERS = ["Title", "Chart Type", "X", "Y", "Teams", "Events", "Color By"];
+const DASHBOARD_TYPES   = ["SCATTER", "BAR", "LINE", "HISTOGRAM"];
+
+const DASHBOARD_CHART_WIDTH  = 600;
+const DASHBOARD_CHART_HEIGHT = 380;
+const DASHBOARD_CHART_ROWS   = 20;   // grid cell per chart on the Dashboard tab
+const DASHBOARD_CHART_COLS   = 8;
+
+// Fields besides COLUMN_MAP's (mastersheet.js) — describe the event row itself.
+const DASHBOARD_FIELDS = {
+  "TEAM":      { label: "Team" },
+  "EVENT":     { label: "Event" },
+  "DISTRICT":  { label: "District" },
+  "EVENT_NUM": { label: "Event # (season order)" }
+};
+
+
+// ============================================================
+// Menu: Build Dashboards
+// ============================================================
+function buildDashboards() {
+
+  const cfg = requireConfig(["GRAPH_X", "GRAPH_Y", "GRAPH_TITLE", "EVENT_YEAR"]);
+  const ss  = SpreadsheetApp.getActive();
+
+  const { defs, problems } = readDashboardDefs(cfg);
+  if (defs.some(d => [d.x, d.y, d.colorBy].some(k => COLUMN_MAP[k]?.source === "api"))) {
+    requireConfig(["TBA_KEY"]);
+  }
+
+  const points = collectDashboardPoints();
+
+  // Event EPA: from the tabs where written, the rest in one batched pass
+  const epaPoints = new Set();
+  defs
+    .filter(d => [d.x, d.y, d.colorBy].includes("EVENT_EPA"))
+    .forEach(d => dashboardFilter(d, points).forEach(p => epaPoints.add(p)));
+  prefetchDashboardEpas([...epaPoints]);
+
+  let dataSheet = ss.getSheetByName(DASHBOARD_DATA_SHEET);
+  if (!dataSheet) {
+    dataSheet = ss.insertSheet(DASHBOARD_DATA_SHEET);
+    dataSheet.hideSheet();
+  }
+  dataSheet.clearContents();
+
+  let dash = ss.getSheetByName(DASHBOARD_SHEET);
+  if (!dash) dash = ss.insertSheet(DASHBOARD_SHEET);
+  dash.getRange(1, 1)
+    .setValue(`DASHBOARD — ${defs.length} chart(s) from the "${DASHBOARD_DEFS_SHEET}" tab • built ${new Date().toLocaleString()}`)
+    .setFontWeight("bold");
+
+  // Every chart's block side by side (blank column between), one write
+  const blocks = [];
+  let col = 1;
+
+  defs.forEach(def => {
+    const table = dashboardTable(def, points);
+    if (table.error)        { problems.push(`"${def.title}": ${table.error}`); return; }
+    if (!table.rows.length) { problems.push(`"${def.title}": no data after filters`); return; }
+
+    blocks.push({ def, table, col });
+    col += table.header.length + 1;
+  });
+
+  if (blocks.length) {
+    const height = Math.max(...blocks.map(b => b.table.rows.length)) + 1;
+    const grid   = Array.from({ length: height }, () => new Array(col - 2).fill(""));
+    blocks.forEach(b => {
+      [b.table.header].concat(b.table.rows).forEach((row, r) => {
+        row.forEach((v, c) => { grid[r][b.col - 1 + c] = v; });
+      });
+    });
+    dataSheet.getRange(1, 1, height, col - 2).setValues(grid);
+    dataSheet.getRange(1, 1, 1, col - 2).setFontWeight("bold");
+  }
+
+  const built = [];
+  blocks.forEach(b => {
+    const range = dataSheet.getRange(1, b.col, b.table.rows.length + 1, b.table.header.length);
+    upsertDashboardChart(dash, b.def, range, b.table, built.length);
+    built.push(b.def.title);
+  });
+
+  // Charts whose definition is gone (or has no data) come off the dashboard
+  dash.getCharts()
+    .filter(c => !built.includes(c.getOptions().get("title")))
+    .forEach(c => dash.removeChart(c));
+
+  SpreadsheetApp.flush();
+
+  const summary = [
+    `Done!`,
+    `  • ${built.length} chart(s) on "${DASHBOARD_SHEET}"`,
+    `  • ${points.length} team/event point(s) available`,
+    problems.length ? "\nSkipped:\n" + problems.map(p => "  ⚠️  " + p).join("\n") : ""
+  ].join("\n").trim();
+
+  Logger.log(summary);
+  SpreadsheetApp.getUi().alert(summary);
+}
+
+
+/**
+ * Turns one definition into a data block for its chart.
+ * Returns { header, rows } or { error }.
+ */
+function dashboardTable(def, points) {
+  const isNum = v => typeof v === "number" && !isNaN(v);
+  const avg   = arr => arr.length ? Math.round(arr.reduce((s, v) => s + v, 0) / arr.length * 100) / 100 : "";
+
+  const items = dashboardFilter(def, points)
+    .map(p => ({
+      x:     dashboardValue(p, def.x),
+      y:     def.y ? dashboardValue(p, def.y) : null,
+      group: def.colorBy ? String(dashboardValue(p, def.colorBy) ?? "—") : ""
+    }))
+    .filter(it => it.x !== null && it.x !== "" && (def.type === "HISTOGRAM" || (it.y !== null && it.y !== "")));
+
+  const groups = [...new Set(items.map(it => it.group))]
+    .sort((a, b) => (isNaN(a) || isNaN(b)) ? a.localeCompare(b) : Number(a) - Number(b));
+  const seriesName = g => g || dashboardLabel(def.type === "HISTOGRAM" ? def.x : def.y);
+  const xLabel     = dashboardLabel(def.x);
+
+  switch (def.type) {
+
+    case "SCATTER": {
+      if (items.some(it => !isNum(it.x) || !isNum(it.y))) {
+        return { error: "SCATTER needs numeric X and Y fields" };
+      }
+      const header = [xLabel].concat(groups.map(seriesName));
+      const rows   = items.map(it => [it.x].concat(groups.map(g => g === it.group ? it.y : "")));
+      return { header, rows };
+    }
+
+    case "LINE":
+    case "BAR": {
+      if (items.some(it => !isNum(it.y))) return { error: def.type + " needs a numeric Y field" };
+
+      const cats = [...new Set(items.map(it => it.x))];
+      const cell = (x, g) => avg(items.filter(it => it.x === x && it.group === g).map(it => it.y));
+
+      if (def.type === "LINE") {
+        cats.sort((a, b) => (isNum(a) && isNum(b)) ? a - b : String(a).localeCompare(String(b)));
+      } else {
+        // Bars read best ranked: highest average first
+        const overall = x => avg(items.filter(it => it.x === x).map(it => it.y));
+        cats.sort((a, b) => overall(b) - overall(a));
+      }
+
+      const header = [xLabel].concat(groups.map(seriesName));
+      const rows   = cats.map(x => [def.type === "BAR" ? String(x) : x].concat(groups.map(g => cell(x, g))));
+      return { header, rows };
+    }
+
+    case "HISTOGRAM": {
+      if (items.some(it => !isNum(it.x))) return { error: "HISTOGRAM needs a numeric X field" };
+      const header = groups.map(seriesName);
+      const rows   = items.map(it => groups.map(g => g === it.group ? it.x : ""));
+      return { header, rows };
+    }
+  }
+  return { error: "unknown chart type " + def.type };
+}
+
+
+function upsertDashboardChart(sheet, def, range, table, slot) {
+  const CHART_TYPES = {
+    SCATTER:   Charts.ChartType.SCATTER,
+    BAR:       Charts.ChartType.BAR,
+    LINE:      Charts.ChartType.LINE,
+    HISTOGRAM: Charts.ChartType.HISTOGRAM
+  };
+
+  const existing = sheet.getCharts().find(c => c.getOptions().get("title") === def.title);
+  const builder  = existing ? existing.modify().clearRanges() : sheet.newChart();
+  const series   = def.type === "HISTOGRAM" ? table.header.length : table.header.length - 1;
+  const multi    = series > 1;
+
+  builder
+    .setChartType(CHART_TYPES[def.type])
+    .addRange(range)
+    .setNumHeaders(1)
+    .setOption("title", def.title)
+    .setOption("hAxis.title", dashboardLabel(def.type === "BAR" ? def.y : def.x))
+    .setOption("vAxis.title", def.type === "HISTOGRAM" ? "Count" : dashboardLabel(def.type === "BAR" ? def.x : def.y))
+    .setOption("legend.position", multi ? "right" : "none")
+    .setOption("pointSize", def.type === "LINE" ? 4 : 6)
+    .setOption("interpolateNulls", true)
+    .setPosition(
+      2 + Math.floor(slot / 2) * DASHBOARD_CHART_ROWS,
+      1 + (slot % 2) * DASHBOARD_CHART_COLS, 0, 0
+    );
+
+  if (!existing) {
+    builder.setOption("width", DASHBOARD_CHART_WIDTH).setOption("height", DASHBOARD_CHART_HEIGHT);
+    sheet.insertChart(builder.build());
+  } else {
+    sheet.updateChart(builder.build());
+  }
+}
+
+
+// ── UTILITIES ────────────────────────────────────────────────────────────────
+
+/**
+ * Reads the Dashboards tab (creating it, seeded from GRAPH_X / GRAPH_Y,
+ * if missing). Returns { defs, problems }; bad rows are skipped.
+ */
+function readDashboardDefs(cfg) {
+  const ss     = SpreadsheetApp.getActive();
+  const fields = dashboardFieldKeys();
+  let sheet    = ss.getSheetByName(DASHBOARD_DEFS_SHEET);
+
+  if (!sheet) {
+    sheet = ss.insertSheet(DASHBOARD_DEFS_SHEET);
+    sheet.getRange(1, 1, 1, DASHBOARD_HEADERS.length)
+      .setValues([DASHBOARD_HEADERS])
+      .setFontWeight("bold");
+    sheet.getRange(2, 1, 1, DASHBOARD_HEADERS.length)
+      .setValues([[cfg.GRAPH_TITLE, "SCATTER", cfg.GRAPH_X, cfg.GRAPH_Y, "", "", ""]]);
+    sheet.setFrozenRows(1);
+
+    // Dropdowns for type and field columns (typing other values just warns)
+    const list = values => SpreadsheetApp.newDataValidation().requireValueInList(values, true).setAllowInvalid(true).build();
+    sheet.getRange(2, 2, 99, 1).setDataValidation(list(DASHBOARD_TYPES));
+    sheet.getRange(2, 3, 99, 2).setDataValidation(list(fields));
+    sheet.getRange(2, 7, 99, 1).setDataValidation(list(fields));
+    sheet.autoResizeColumns(1, DASHBOARD_HEADERS.length);
+  }
+
+  const defs     = [];
+  const problems = [];
+  const titles   = new Set();
+  const lastRow  = sheet.getLastRow();
+  if (lastRow < 2) return { defs, problems };
+
+  sheet.getRange(2, 1, lastRow - 1, DASHBOARD_HEADERS.length).getValues().forEach((r, i) => {
+    const [rawTitle, rawType, rawX, rawY, rawTeams, rawEvents, rawColor] = r.map(v => String(v).trim());
+    if (!rawTitle && !rawX && !rawY) return;
+
+    const where = `row ${i + 2}`;
+    const type  = (rawType || "SCATTER").toUpperCase();
+    const x     = (rawX || (type === "LINE" ? "EVENT_NUM" : "")).toUpperCase();
+    const y     = rawY.toUpperCase();
+    const color = (rawColor || (type === "LINE" ? "TEAM" : "")).toUpperCase();
+    const title = rawTitle || (type === "HISTOGRAM" ? x : x + " VS " + y);
+
+    if (!DASHBOARD_TYPES.includes(type))      { problems.push(`${where}: chart type "${rawType}" — use ${DASHBOARD_TYPES.join(", ")}`); return; }
+    if (!fields.includes(x))                  { problems.push(`${where}: unknown X field "${rawX}"`); return; }
+    if (type !== "HISTOGRAM" && !fields.includes(y)) { problems.push(`${where}: unknown Y field "${rawY}"`); return; }
+    if (color && !fields.includes(color))     { problems.push(`${where}: unknown Color By field "${rawColor}"`); return; }
+    if (titles.has(title))                    { problems.push(`${where}: duplicate title "${title}"`); return; }
+    titles.add(title);
+
+    const teams  = rawTeams ? (rawTeams.match(/\d+/g) || []).map(Number) : null;
+    const events = rawEvents ? rawEvents.split(",").map(s => s.trim().toLowerCase()).filter(s => s) : null;
+
+    defs.push({ title, type, x, y: type === "HISTOGRAM" ? "" : y, teams, events, colorBy: color });
+  });
+
+  return { defs, problems };
+}
+
+
+/**
+ * One point per non-blank event row on every team tab:
+ * { team, event, eventNum, row, values } — row is the raw event row.
+ */
+function collectDashboardPoints() {
+  const points = [];
+  SpreadsheetApp.getActive().getSheets().forEach(sheet => {
+    const team = parseInt(sheet.getName());
+    if (isNaN(team) || sheet.getLastRow() < TEAM_TAB.EVENT_FIRST_ROW) return;
+
+    sheet
+      .getRange(TEAM_TAB.EVENT_FIRST_ROW, 1, TEAM_TAB.EVENT_MAX_ROWS, TEAM_TAB.EVENT_COLS)
+      .getValues()
+      .filter(row => row[0] !== "")
+      .forEach((row, i) => points.push({ team, event: String(row[0]), eventNum: i + 1, row, values: {} }));
+  });
+  return points;
+}
+
+
+// Points passing a definition's Teams / Events filters.
+function dashboardFilter(def, points) {
+  return points
+    .filter(p => !def.teams || def.teams.includes(p.team))
+    .filter(p => !def.events || def.events.some(f =>
+      p.event.toLowerCase().includes(f) || String(p.row[1]).toLowerCase() === f));
+}
+
+
+/**
+ * Fills point.values.EVENT_EPA: the team tab's event EPA column when
+ * filled, otherwise one deduplicated batch via fetchEventEpas().
+ */
+function prefetchDashboardEpas(points) {
+  const col     = COLUMN_MAP.EVENT_EPA.col;
+  const missing = [];
+
+  points.forEach(p => {
+    const onTab = resolveValue("EVENT_EPA", p.row[col - 1]);
+    if (onTab !== null) p.values.EVENT_EPA = onTab;
+    else                missing.push(p);
+  });
+
+  const epas = fetchEventEpas(missing.map(p => ({
+    team:  p.team,
+    event: p.event,
+    key:   p.row[TEAM_TAB.EVENT_KEY_COL - 1]
+  })));
+  missing.forEach(p => { p.values.EVENT_EPA = epas[p.team + "|" + p.event]; });
+}
+
+
+// Field value for one point (memoised).
+function dashboardValue(point, key) {
+  if (key in point.values) return point.values[key];
+
+  let v;
+  switch (key) {
+    case "TEAM":      v = point.team; break;
+    case "EVENT":     v = point.event; break;
+    case "DISTRICT":  v = point.row[1] || "—"; break;
+    case "EVENT_NUM": v = point.eventNum; break;
+    default:          v = resolveValue(key, point.row[COLUMN_MAP[key].col - 1]);
+  }
+  point.values[key] = v;
+  return v;
+}
+
+
+function dashboardFieldKeys() {
+  return Object.keys(COLUMN_MAP).concat(Object.keys(DASHBOARD_FIELDS));
+}
+
+
+function dashboardLabel(key) {
+  const def = COLUMN_MAP[key] || DASHBOARD_FIELDS[key];
+  return def ? def.label : key;
+}
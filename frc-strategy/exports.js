@@ -0,0 +1,311 @@
+// ============================================================
+// EXPORTS — dossiers, pick list and dataset as Drive files
+//
+// For the drive coach and pit crew, who can't always open the
+// live spreadsheet. Everything is read from what's already on
+// the tabs (no API calls) and saved to the EXPORT_FOLDER Drive
+// folder (Config; a folder name or id, created if missing), with
+// the time in every file name:
+//
+//   Team dossier     "254 Dossier 2026-03-14 101502.pdf / .json"
+//                    stat rows (writeStatRows), event table
+//                    (writeEventRows) and the team's scouting
+//                    aggregates (aggregateSAData)
+//   Event dossiers   the same for every team at EVENT_KEY with
+//                    a tab — one PDF (a page per team), one JSON
+//   Pick list        the Pick List tab as CSV
+//   Dataset          three CSVs for offline analysis: team stats,
+//                    team events and the raw SA_DATA_MASTER rows
+// ============================================================
+
+const EXPORT_STAT_LABELS = ["Current", "Last Year", "Past 3 Years"];
+
+
+// Menu: Export Team Dossier…
+function exportTeamDossierPrompt() {
+  const ui  = SpreadsheetApp.getUi();
+  const res = ui.prompt("Export dossier", "Team number:", ui.ButtonSet.OK_CANCEL);
+  if (res.getSelectedButton() !== ui.Button.OK) return;
+
+  const team  = parseInt(res.getResponseText().trim());
+  const sheet = isNaN(team) ? null : SpreadsheetApp.getActive().getSheetByName(String(team));
+  if (!sheet) {
+    ui.alert(`No team tab for "${res.getResponseText().trim()}".`);
+    return;
+  }
+
+  ui.alert(exportDossiers([team], String(team)));
+}
+
+
+// Menu: Export Dossiers for Event
+function exportEventDossiers() {
+  const cfg  = getConfig();
+  const tabs = listTeamTabs();
+  let teams  = tabs;
+  let name   = "All Teams";
+  let note   = "";
+
+  if (cfg.EVENT_KEY) {
+    const keys = tbaGet("/event/" + cfg.EVENT_KEY + "/teams/keys");
+    if (keys && keys.length) {
+      const atEvent = new Set(keys.map(k => Number(String(k).replace("frc", ""))));
+      teams = tabs.filter(t => atEvent.has(t));
+      name  = cfg.EVENT_KEY;
+      if (teams.length < atEvent.size) note = `⚠️  ${atEvent.size - teams.length} team(s) at ${cfg.EVENT_KEY} have no tab yet — not exported.`;
+    } else {
+      note = `⚠️  TBA has no team list for ${cfg.EVENT_KEY} — exported every team tab.`;
+    }
+  } else {
+    note = "EVENT_KEY is blank — exported every team tab.";
+  }
+
+  if (!teams.length) {
+    SpreadsheetApp.getUi().alert("No team tabs to export.");
+    return;
+  }
+  SpreadsheetApp.getUi().alert(exportDossiers(teams, name) + (note ? "\n\n" + note : ""));
+}
+
+
+// Menu: Export Pick List (CSV)
+function exportPickList() {
+  const sheet = SpreadsheetApp.getActive().getSheetByName(PICK_LIST_SHEET);
+  if (!sheet || sheet.getLastRow() < 2) {
+    SpreadsheetApp.getUi().alert(`Nothing to export — build the "${PICK_LIST_SHEET}" tab first.`);
+    return;
+  }
+
+  const folder = getExportFolder();
+  const file   = folder.createFile(`Pick List ${exportStamp()}.csv`, toCsv(sheet.getDataRange().getDisplayValues()), MimeType.CSV);
+
+  const summary = [
+    "Done! Pick list exported.",
+    `  • ${file.getName()}`,
+    `  • Folder: ${folder.getName()} — ${folder.getUrl()}`
+  ].join("\n");
+  Logger.log(summary);
+  SpreadsheetApp.getUi().alert(summary);
+}
+
+
+// Menu: Export Dataset (CSV)
+function exportDataset() {
+  const cfg    = getConfig();
+  const teams  = listTeamTabs();
+  const ss     = SpreadsheetApp.getActive();
+  const stamp  = exportStamp();
+  const folder = getExportFolder();
+  const files  = [];
+
+  // Every header any team tab has, first-seen order — tabs can differ in
+  // layout, and each row is filled by header name
+  const dossiers     = teams.map(t => readDossier(t, null));
+  const union        = pick => [...new Set([].concat(...dossiers.map(pick)))];
+  const statHeaders  = union(d => d.statHeaders);
+  const eventHeaders = union(d => d.eventHeaders);
+
+  // Team stats: one row per team per stat row
+  const statRows = [];
+  dossiers.forEach(d => d.stats.forEach(s =>
+    statRows.push([d.team, s.label].concat(statHeaders.map(h => s.values[h])))));
+  files.push(folder.createFile(`Team Stats ${stamp}.csv`,
+    toCsv([["team", "row"].concat(statHeaders)].concat(statRows)), MimeType.CSV));
+
+  // Team events: one row per team per event
+  const eventRows = [];
+  dossiers.forEach(d => d.events.forEach(e =>
+    eventRows.push([d.team].concat(eventHeaders.map(h => e[h])))));
+  files.push(folder.createFile(`Team Events ${stamp}.csv`,
+    toCsv([["team"].concat(eventHeaders)].concat(eventRows)), MimeType.CSV));
+
+  // Raw scouting rows, tracking column left out
+  const src = ss.getSheetByName(cfg.SA_SOURCE_SHEET);
+  const saHeaders = src ? readSAHeaders(src) : [];
+  if (saHeaders.length) {
+    const data = src.getLastRow() > 1
+      ? src.getRange(2, 1, src.getLastRow() - 1, saHeaders.length).getValues()
+      : [];
+    files.push(folder.createFile(`Scouting Data ${stamp}.csv`, toCsv([saHeaders].concat(data)), MimeType.CSV));
+  }
+
+  const summary = [
+    `Done! Dataset for ${teams.length} team(s) exported.`,
+    ...files.map(f => `  • ${f.getName()}`),
+    saHeaders.length ? "" : `  ⚠️  "${cfg.SA_SOURCE_SHEET}" not found — no scouting CSV.`,
+    `  • Folder: ${folder.getName()} — ${folder.getUrl()}`
+  ].filter(l => l).join("\n");
+  Logger.log(summary);
+  SpreadsheetApp.getUi().alert(summary);
+}
+
+
+/**
+ * Writes one PDF and one JSON holding the dossiers of `teams`.
+ * Returns the summary text.
+ */
+function exportDossiers(teams, name) {
+  const agg      = aggregateSAData();
+  const dossiers = teams.map(t => readDossier(t, agg));
+  const stamp    = exportStamp();
+  const folder   = getExportFolder();
+  const base     = `${name} ${teams.length === 1 ? "Dossier" : "Dossiers"} ${stamp}`;
+
+  const json = folder.createFile(base + ".json",
+    JSON.stringify(teams.length === 1 ? dossiers[0] : dossiers, null, 2), MimeType.PLAIN_TEXT);
+
+  const html = dossierHtml(dossiers);
+  const pdf  = folder.createFile(Utilities.newBlob(html, MimeType.HTML, base + ".html").getAs(MimeType.PDF).setName(base + ".pdf"));
+
+  const summary = [
+    `Done! ${dossiers.length} dossier(s) exported.`,
+    `  • ${pdf.getName()}`,
+    `  • ${json.getName()}`,
+    `  • Folder: ${folder.getName()} — ${folder.getUrl()}`
+  ].join("\n");
+  Logger.log(summary);
+  return summary;
+}
+
+
+// ── DOSSIERS ─────────────────────────────────────────────────────────────────
+
+/**
+ * One team's dossier from its tab: { team, exported, eventKey, statHeaders,
+ * stats: [{ label, values }], eventHeaders, events: [{ header: value }],
+ * scouting: { rows, stats, counts } | null }. `agg` = aggregateSAData()
+ * or null to leave scouting out.
+ */
+function readDossier(team, agg) {
+  const sheet   = SpreadsheetApp.getActive().getSheetByName(String(team));
+  const metrics = readTeamTabMetrics(sheet);
+  const lastCol = TEAM_TAB.STAT_COLS.WIN_LOSS;
+
+  // Header cells as keys; column A of the event table has none
+  const statHeaders  = sheet.getRange(1, 2, 1, lastCol - 1).getValues()[0]
+    .map((h, i) => String(h).trim() || "col " + (i + 2));
+  const eventHeaders = sheet.getRange(TEAM_TAB.EVENT_HEADER_ROW, 1, 1, TEAM_TAB.EVENT_COLS).getValues()[0]
+    .map((h, i) => String(h).trim() || (i === 0 ? "event" : "col " + (i + 1)));
+
+  const stats = metrics.stats.map((row, i) => {
+    const values = {};
+    statHeaders.forEach((h, c) => { values[h] = row[c + 1]; });
+    return { label: EXPORT_STAT_LABELS[i], values };
+  });
+  const events = metrics.events.map(row => {
+    const out = {};
+    eventHeaders.forEach((h, c) => { out[h] = row[c]; });
+    return out;
+  });
+
+  const sa = agg && agg.byTeam[team];
+  return {
+    team,
+    exported:  new Date().toISOString(),
+    eventKey:  getConfig().EVENT_KEY || "",
+    statHeaders,
+    stats,
+    eventHeaders,
+    events,
+    scouting:  sa ? { rows: sa.rows, stats: sa.stats, counts: sa.counts } : null
+  };
+}
+
+
+/**
+ * Printable HTML for dossiers — a page per team.
+ */
+function dossierHtml(dossiers) {
+  const esc   = v => String(v === null || v === undefined ? "" : v)
+    .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+  const table = (header, rows) =>
+    "<table><tr>" + header.map(h => `<th>${esc(h)}</th>`).join("") + "</tr>" +
+    rows.map(r => "<tr>" + r.map(v => `<td>${esc(v)}</td>`).join("") + "</tr>").join("") +
+    "</table>";
+
+  const pages = dossiers.map(d => {
+    const parts = [`<h1>Team ${d.team}</h1>`, `<p class="meta">Exported ${esc(d.exported)}${d.eventKey ? " • " + esc(d.eventKey) : ""}</p>`];
+
+    parts.push("<h2>Stats</h2>", table([""].concat(d.statHeaders), d.stats.map(s => [s.label].concat(d.statHeaders.map(h => s.values[h])))));
+
+    parts.push("<h2>Events</h2>", d.events.length
+      ? table(d.eventHeaders, d.events.map(e => d.eventHeaders.map(h => e[h])))
+      : "<p>No events yet.</p>");
+
+    parts.push("<h2>Scouting</h2>");
+    if (d.scouting) {
+      const s = d.scouting;
+      parts.push(`<p>${s.rows} row(s) scouted.</p>`);
+      const nums = Object.keys(s.stats);
+      if (nums.length) {
+        parts.push(table(["Metric", "Mean", "Median", "Max", "Std Dev", "Last 3"],
+          nums.map(h => [h, s.stats[h].mean, s.stats[h].median, s.stats[h].max, s.stats[h].sd, s.stats[h].last3])));
+      }
+      const cats = Object.keys(s.counts);
+      if (cats.length) parts.push(table(["Metric", "Counts"], cats.map(h => [h, formatCounts(s.counts[h])])));
+    } else {
+      parts.push("<p>No scouting rows.</p>");
+    }
+
+    return `<div class="page">${parts.join("\n")}</div>`;
+  });
+
+  return [
+    "<html><head><style>",
+    "body { font-family: Arial, sans-serif; font-size: 10px; }",
+    ".page { page-break-after: always; }",
+    "h1 { font-size: 18px; margin: 0 0 2px; } h2 { font-size: 13px; margin: 14px 0 4px; }",
+    ".meta { color: #777; margin: 0; }",
+    "table { border-collapse: collapse; } th, td { border: 1px solid #ccc; padding: 2px 5px; }",
+    "th { background: #eee; }",
+    "</style></head><body>",
+    pages.join("\n"),
+    "</body></html>"
+  ].join("\n");
+}
+
+
+// ── UTILITIES ────────────────────────────────────────────────────────────────
+
+// Numeric team tabs, in number order.
+function listTeamTabs() {
+  return SpreadsheetApp.getActive().getSheets()
+    .map(s => s.getName())
+    .filter(n => /^\d+$/.test(n))
+    .map(Number)
+    .sort((a, b) => a - b);
+}
+
+
+/**
+ * The EXPORT_FOLDER Drive folder — by id, else by name (created if missing).
+ */
+function getExportFolder() {
+  const ref = String(getConfig().EXPORT_FOLDER).trim();
+  if (/^[\w-]{20,}$/.test(ref)) {
+    try { return DriveApp.getFolderById(ref); } catch (e) { /* not an id — fall through */ }
+  }
+  const found = DriveApp.getFoldersByName(ref);
+  return found.hasNext() ? found.next() : DriveApp.createFolder(ref);
+}
+
+
+// "2026-03-14 101502" — sorts by time in a Drive listing, and two
+// exports in the same minute still get different file names.
+function exportStamp() {
+  return Utilities.formatDate(new Date(), Session.getScriptTimeZone(), "yyyy-MM-dd HHmmss");
+}
+
+
+/**
+ * Rows → CSV text. Dates become ISO strings; fields with commas,
+ * quotes or line breaks are quoted.
+ */
+function toCsv(rows) {
+  const cell = v => {
+    if (v === null || v === undefined) return "";
+    const s = v instanceof Date ? v.toISOString() : String(v);
+    return /[",\r\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+  };
+  return rows.map(r => r.map(cell).join(",")).join("\r\n");
+}
@@ -0,0 +1,186 @@
+// ============================================================
+// EVENT FIELD — rank a whole event's field.
+//
+// For one event key (prompted, EVENT_KEY by default) this builds
+// the "Event Field" tab:
+//   • every team on TBA's team list, ranked by EPA (Statbotics
+//     team_event, falling back to team_year before the event)
+//   • qual strength of schedule from the match schedule:
+//     average partner EPA vs average opponent EPA; SoS = opp − partner,
+//     so a higher number means a harder schedule
+//   • qual rank vs EPA rank — teams ranked much better than their
+//     EPA suggests (▲) or much worse (▼) are marked
+// ============================================================
+
+const FIELD_SHEET     = "Event Field";
+const FIELD_FIRST_ROW = 5;     // rows 1–2 = title + summary, 4 = header
+const FIELD_RANK_GAP  = 0.2;   // flag when |qual rank − EPA rank| ≥ 20% of the field …
+const FIELD_RANK_MIN  = 4;     // … and at least this many places
+
+const FIELD_HEADERS = [
+  "EPA Rank", "Team", "Name", "EPA", "Auto EPA", "Teleop EPA", "Endgame EPA",
+  "Qual Rank", "Qual Record", "Rank Δ", "Vs EPA",
+  "Quals", "Avg Partner EPA", "Avg Opponent EPA", "SoS (opp − partner)", "SoS Rank"
+];
+
+
+// Menu: Analyze Event Field…
+function analyzeEventFieldPrompt() {
+  const ui  = SpreadsheetApp.getUi();
+  const cfg = getConfig();
+  const res = ui.prompt(
+    "Event field analysis",
+    `Event key (blank = ${cfg.EVENT_KEY || "EVENT_KEY from Config"}):`,
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (res.getSelectedButton() !== ui.Button.OK) return;
+
+  const eventKey = res.getResponseText().trim().toLowerCase() || cfg.EVENT_KEY;
+  if (!eventKey) throw new Error("No event key given and EVENT_KEY is blank on the Config tab.");
+
+  const summary = analyzeEventField(eventKey);
+  ui.alert(summary);
+}
+
+
+/**
+ * Builds the Event Field tab for `eventKey`. Returns a summary line.
+ */
+function analyzeEventField(eventKey) {
+  requireConfig(["TBA_KEY"]);
+  if (!/^\d{4}[a-z0-9]+$/.test(eventKey)) throw new Error(`"${eventKey}" doesn't look like an event key (e.g. 2026casj)`);
+
+  const year = Number(eventKey.slice(0, 4));
+
+  const tbaTeams = tbaGet("/event/" + eventKey + "/teams/simple");
+  if (!tbaTeams || !tbaTeams.length) {
+    throw new Error(`TBA has no team list for ${eventKey} — check the key.`);
+  }
+
+  // EPA: team_event where Statbotics has it, team_year for the rest
+  const teamEvents = fetchEventTeamEpas(eventKey);
+  const teams      = tbaTeams.map(t => t.team_number);
+  const teamYears  = fetchTeamYears(teams.filter(t => !teamEvents[t]), year);
+
+  const info = {};
+  tbaTeams.forEach(t => {
+    const te = teamEvents[t.team_number];
+    const b  = epaBreakdown(te || teamYears[t.team_number]);
+    const q  = te?.record?.qual;
+    info[t.team_number] = {
+      team:     t.team_number,
+      name:     t.nickname || "",
+      epa:      b.total,
+      auto:     b.auto,
+      teleop:   b.teleop,
+      endgame:  b.endgame,
+      qualRank: q?.rank ?? null,
+      record:   q ? q.wins + "W-" + q.losses + "L-" + q.ties + "T" : "",
+      partners: [],
+      opponents: []
+    };
+  });
+
+  // Strength of schedule from the qual schedule (played or not)
+  const quals = fetchEventMatches(eventKey).filter(m => m.comp_level === "qm");
+  quals.forEach(m => {
+    const red  = m.alliances?.red?.team_keys  || [];
+    const blue = m.alliances?.blue?.team_keys || [];
+    [[red, blue], [blue, red]].forEach(([ours, theirs]) => {
+      ours.forEach(t => {
+        if (!info[t]) return;   // surrogate / late add not on TBA's list
+        ours.filter(p => p !== t).forEach(p => info[t].partners.push(info[p]?.epa ?? null));
+        theirs.forEach(o => info[t].opponents.push(info[o]?.epa ?? null));
+      });
+    });
+  });
+
+  const avg = arr => {
+    const v = arr.filter(x => x !== null);
+    return v.length ? Math.round(v.reduce((s, x) => s + x, 0) / v.length * 10) / 10 : null;
+  };
+
+  const rows = Object.values(info);
+  rows.forEach(r => {
+    r.partnerAvg = avg(r.partners);
+    r.oppAvg     = avg(r.opponents);
+    r.sos        = r.partnerAvg !== null && r.oppAvg !== null ? Math.round((r.oppAvg - r.partnerAvg) * 10) / 10 : null;
+  });
+
+  rankBy(rows, "epa", "epaRank");
+  rankBy(rows, "sos", "sosRank");
+
+  // Qual rank vs EPA rank
+  const gap = Math.max(FIELD_RANK_MIN, Math.round(rows.length * FIELD_RANK_GAP));
+  rows.forEach(r => {
+    r.delta = r.qualRank !== null && r.epaRank !== null ? r.epaRank - r.qualRank : null;
+    r.flag  = r.delta === null ? ""
+            : r.delta >=  gap  ? "▲ Over-performing"
+            : r.delta <= -gap  ? "▼ Under-performing"
+            : "";
+  });
+
+  rows.sort((a, b) => (a.epaRank ?? Infinity) - (b.epaRank ?? Infinity));
+  writeEventField(eventKey, rows, quals.length, gap);
+
+  const flagged = rows.filter(r => r.flag).length;
+  const summary = `✅ ${eventKey}: ${rows.length} team(s), ${quals.length} qual match(es), ${flagged} flagged vs EPA.`;
+  Logger.log(summary);
+  return summary;
+}
+
+
+// ── UTILITIES ────────────────────────────────────────────────────────────────
+
+/**
+ * Sets row[rankKey] = 1-based rank by row[key], highest first; null values
+ * get no rank.
+ */
+function rankBy(rows, key, rankKey) {
+  rows
+    .filter(r => r[key] !== null && r[key] !== undefined)
+    .sort((a, b) => b[key] - a[key])
+    .forEach((r, i) => { r[rankKey] = i + 1; });
+  rows.forEach(r => { if (r[rankKey] === undefined) r[rankKey] = null; });
+}
+
+
+function writeEventField(eventKey, rows, qualCount, gap) {
+  const ss  = SpreadsheetApp.getActive();
+  let sheet = ss.getSheetByName(FIELD_SHEET);
+  if (!sheet) sheet = ss.insertSheet(FIELD_SHEET);
+  sheet.clear();
+
+  const r1   = v => v === null || v === undefined ? "" : Math.round(v * 10) / 10;
+  const epas = rows.map(r => r.epa).filter(v => v !== null);
+  const mean = epas.length ? epas.reduce((s, v) => s + v, 0) / epas.length : null;
+
+  sheet.getRange(1, 1)
+    .setValue(`EVENT FIELD — ${eventKey} • built ${new Date().toLocaleString()}`)
+    .setFontWeight("bold");
+  sheet.getRange(2, 1).setValue(
+    `${rows.length} teams • ${qualCount} qual matches • mean EPA ${r1(mean)} • ` +
+    `flagged when qual rank and EPA rank differ by ${gap}+ places`
+  );
+
+  sheet.getRange(FIELD_FIRST_ROW - 1, 1, 1, FIELD_HEADERS.length)
+    .setValues([FIELD_HEADERS])
+    .setFontWeight("bold");
+
+  if (!rows.length) return;
+
+  sheet.getRange(FIELD_FIRST_ROW, 1, rows.length, FIELD_HEADERS.length).setValues(rows.map(r => [
+    r.epaRank ?? "", r.team, r.name, r1(r.epa), r1(r.auto), r1(r.teleop), r1(r.endgame),
+    r.qualRank ?? "", r.record, r.delta ?? "", r.flag,
+    r.partners.length / 2, r1(r.partnerAvg), r1(r.oppAvg), r1(r.sos), r.sosRank ?? ""
+  ]));
+
+  rows.forEach((r, i) => {
+    if (!r.flag) return;
+    sheet.getRange(FIELD_FIRST_ROW + i, 1, 1, FIELD_HEADERS.length)
+      .setBackground(r.delta > 0 ? "#d9ead3" : "#f4cccc");
+  });
+
+  sheet.setFrozenRows(FIELD_FIRST_ROW - 1);
+  sheet.autoResizeColumns(1, FIELD_HEADERS.length);
+}
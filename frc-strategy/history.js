@@ -0,0 +1,120 @@
+// ============================================================
+// SEASON HISTORY — multi-season trend per team.
+//
+// A SEASON HISTORY section on every team tab, one row per season
+// for the last HISTORY_SEASONS seasons (Config) up to CURRENT_YEAR,
+// oldest first:
+//   EPA, normalized EPA, EPA percentile, record, win %, district
+//   points (Statbotics team_year) and best finish (TBA event
+//   statuses — Winner > Finalist > Semis > Quarters > quals rank)
+// plus an EPA sparkline next to the section title.
+//
+// Written by setup and refresh; the rows are replaced each time
+// (hand edits kept per season — see owned.js), seasons before the
+// team existed are left out.
+// ============================================================
+
+const HISTORY_SECTION_TITLE = "SEASON HISTORY";
+
+const HISTORY_HEADERS = [
+  "Season", "EPA", "Norm EPA", "EPA Percentile", "Record", "Win %",
+  "District Points", "Best Finish"
+];
+
+// Playoff outcomes, best first: [level, status, label]
+const FINISH_ORDER = [
+  ["f",  "won",  "Winner"],
+  ["f",  null,   "Finalist"],
+  ["sf", null,   "Semifinals"],
+  ["qf", null,   "Quarterfinals"],
+  ["ef", null,   "Octofinals"]
+];
+
+
+// ============================================================
+// Writes (or rewrites) the SEASON HISTORY section of one tab.
+// ============================================================
+function writeHistorySection(sheet, team) {
+
+  const { CURRENT_YEAR, HISTORY_SEASONS, TBA_KEY } = getConfig();
+
+  const years = [];
+  for (let y = CURRENT_YEAR - HISTORY_SEASONS + 1; y <= CURRENT_YEAR; y++) years.push(y);
+
+  // team_year + TBA event statuses for every season, one fetchAll
+  const reqs = [];
+  years.forEach(year => {
+    reqs.push({ url: teamYearUrl(team, year), muteHttpExceptions: true });
+    reqs.push({
+      url: "https://www.thebluealliance.com/api/v3/team/frc" + team + "/events/" + year + "/statuses",
+      headers: { "X-TBA-Auth-Key": TBA_KEY },
+      muteHttpExceptions: true
+    });
+  });
+  const data = cachedFetchAll(reqs).map(parseJsonResponse);
+
+  const rows = [];
+  years.forEach((year, i) => {
+    const d        = data[2 * i];
+    const statuses = data[2 * i + 1];
+    if (!d && !(statuses && Object.keys(statuses).length)) return;   // not competing yet
+
+    const rec = d?.record;
+    rows.push([
+      year,
+      d?.epa?.total_points?.mean ?? d?.epa?.breakdown?.total_points ?? "",
+      d?.epa?.norm ?? "",
+      d?.epa?.ranks?.total?.percentile ?? "",
+      rec ? rec.wins + "W-" + rec.losses + "L-" + rec.ties + "T" : "",
+      rec && rec.winrate !== undefined ? Math.round(rec.winrate * 1000) / 10 : "",
+      d?.district_points ?? "",
+      bestFinish(statuses)
+    ]);
+  });
+
+  const section = ensureSection(sheet, HISTORY_SECTION_TITLE, HISTORY_HEADERS);
+  writeOwnedSection(sheet, section, rows);
+
+  // EPA trend beside the title (column B = EPA)
+  const spark = sheet.getRange(section.titleRow, 2);
+  if (rows.length > 1) {
+    const first = section.headerRow + 1;
+    spark.setFormula(`=SPARKLINE(B${first}:B${first + rows.length - 1},{"charttype","line";"linewidth",2})`);
+  } else {
+    spark.clearContent();
+  }
+}
+
+
+// ── UTILITIES ────────────────────────────────────────────────────────────────
+
+/**
+ * Best finish from TBA's /team/{key}/events/{year}/statuses map,
+ * e.g. "Winner @ 2025casj", "Semifinals @ 2025cafr (×2)", "Quals #4 @ …".
+ */
+function bestFinish(statuses) {
+  const list = Object.keys(statuses || {})
+    .filter(k => statuses[k])
+    .map(k => ({ key: k, s: statuses[k] }));
+  if (!list.length) return "—";
+
+  const tier = s => {
+    const p = s.playoff;
+    if (!p || !p.level) return FINISH_ORDER.length;
+    const i = FINISH_ORDER.findIndex(([lvl, st]) => lvl === p.level && (!st || st === p.status));
+    return i < 0 ? FINISH_ORDER.length : i;
+  };
+
+  const best = Math.min(...list.map(e => tier(e.s)));
+  const at   = list.filter(e => tier(e.s) === best);
+  const many = at.length > 1 ? ` (×${at.length})` : "";
+
+  if (best < FINISH_ORDER.length) return `${FINISH_ORDER[best][2]} @ ${at[0].key}${many}`;
+
+  // Quals only — best qual rank
+  const ranked = list
+    .map(e => ({ key: e.key, rank: e.s.qual?.ranking?.rank }))
+    .filter(e => e.rank)
+    .sort((a, b) => a.rank - b.rank);
+  return ranked.length ? `Quals #${ranked[0].rank} @ ${ranked[0].key}` : "—";
+}
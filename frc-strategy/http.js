@@ -0,0 +1,318 @@
+// ============================================================
+// HTTP CLIENT — retries, rate limits and a failure report
+//
+// Every request cachedFetchAll() sends goes through
+// httpFetchAll(), so the cache sits on top of it:
+//   • 429 and 5xx (and network errors) are retried with
+//     exponential backoff — Retry-After wins when the server
+//     sends one — up to HTTP_MAX_ATTEMPTS tries, sleeping at most
+//     HTTP_WAIT_BUDGET_MS per call
+//   • no retry sleeps past httpDeadline: the refresh job sets it
+//     to the end of its time budget, so a burst of 429s can't
+//     carry an execution into Apps Script's 6-minute limit
+//   • a 401/403 from TBA means the API key is bad: it's flagged
+//     once and the run's remaining TBA requests aren't sent
+//   • every request that still fails is counted in httpReport
+//     (and listed once per URL), which the refresh job collects
+//     per team and shows when it ends
+// 404s aren't failures — Statbotics answers 404 for a season
+// or event a team has no data for.
+//
+// For tests: set httpFetcher to any object with fetchAll() and
+// httpSleeper to a function(ms), or point the APIs at a mock
+// server with the Script Properties HTTP_BASE_STATBOTICS /
+// HTTP_BASE_TBA (cache keys and TTLs keep using the real URLs).
+// testHttpClient() runs the retry and TBA-key cases against a
+// stub — run it from the Apps Script editor.
+// ============================================================
+
+const HTTP_RETRY_CODES    = [429, 500, 502, 503, 504];
+const HTTP_MAX_ATTEMPTS   = 4;
+const HTTP_BASE_DELAY_MS  = 1000;        // 1 s, 2 s, 4 s …
+const HTTP_MAX_DELAY_MS   = 30 * 1000;   // cap on one wait, Retry-After included
+const HTTP_WAIT_BUDGET_MS = 60 * 1000;   // total sleeping per httpFetchAll call
+const HTTP_REPORT_MAX     = 200;         // failures kept per run
+
+const HTTP_API_BASES = [
+  { base: "https://api.statbotics.io/v3",          prop: "HTTP_BASE_STATBOTICS" },
+  { base: "https://www.thebluealliance.com/api/v3", prop: "HTTP_BASE_TBA" }
+];
+
+const HTTP_TBA_KEY_MESSAGE =
+  "❌ TBA rejected the API key (401/403) — set a new one via 🤖 Scouting Tools → Set TBA API Key.";
+
+let httpFetcher  = null;                // null = UrlFetchApp
+let httpSleeper  = null;                // null = Utilities.sleep
+let httpDeadline = 0;                   // epoch ms no retry may sleep past; 0 = none
+let httpReport   = newHttpReport();
+
+
+/**
+ * UrlFetchApp.fetchAll() with retries. Always returns one response per
+ * request (never throws); requests that never got an answer come back
+ * with code 0 and the error as their text.
+ */
+function httpFetchAll(requests) {
+  const fetcher  = httpFetcher || UrlFetchApp;
+  const results  = new Array(requests.length);
+  const last     = new Array(requests.length);
+  const attempts = requests.map(() => 0);
+  const bases    = httpBaseOverrides();
+  let waited     = 0;
+
+  // A rejected TBA key won't start working mid-run
+  let pending = requests.map((_, i) => i).filter(i => {
+    if (!httpReport.tbaKeyInvalid || !isTbaUrl(requests[i].url)) return true;
+    results[i] = cachedResponse(401, "TBA key rejected earlier in this run — not sent", {});
+    return false;
+  });
+
+  while (pending.length) {
+    const sent = pending.map(i => Object.assign({}, requests[i], {
+      url: rebaseApiUrl(requests[i].url, bases),
+      muteHttpExceptions: true
+    }));
+
+    let responses;
+    try {
+      responses = fetcher.fetchAll(sent);
+    } catch (e) {
+      responses = sent.map(() => cachedResponse(0, String(e.message || e), {}));
+    }
+
+    const retry = [];
+    let delay   = 0;
+    responses.forEach((res, j) => {
+      const i    = pending[j];
+      const code = res.getResponseCode();
+      attempts[i]++;
+      last[i] = res;
+
+      if ((code === 0 || HTTP_RETRY_CODES.includes(code)) && attempts[i] < HTTP_MAX_ATTEMPTS) {
+        retry.push(i);
+        delay = Math.max(delay, httpRetryDelay(res, attempts[i]));
+        return;
+      }
+      results[i] = res;
+      noteHttpResult(requests[i].url, res, attempts[i]);
+    });
+
+    if (!retry.length) break;
+
+    if (waited + delay > HTTP_WAIT_BUDGET_MS || (httpDeadline && Date.now() + delay > httpDeadline)) {
+      retry.forEach(i => {
+        results[i] = last[i];
+        noteHttpResult(requests[i].url, last[i], attempts[i]);
+      });
+      break;
+    }
+
+    httpReport.retries += retry.length;
+    if (httpSleeper) httpSleeper(delay);
+    else             Utilities.sleep(delay);
+    waited += delay;
+    pending = retry;
+  }
+
+  return results;
+}
+
+
+// ── REPORT ───────────────────────────────────────────────────────────────────
+
+// failed counts every failed request; failures lists each path + code once.
+function newHttpReport() {
+  return { failures: [], failed: 0, retries: 0, tbaKeyInvalid: false };
+}
+
+
+// Starts a fresh report (the refresh job does this once per run).
+function resetHttpReport() {
+  httpReport = newHttpReport();
+}
+
+
+// Where the report stands now — collectHttpFailures takes what came after.
+function httpReportMark() {
+  return { failed: httpReport.failed, listed: httpReport.failures.length, retries: httpReport.retries };
+}
+
+
+/**
+ * One failure as text, e.g.
+ * "TBA /team/frc254/events/2026 → 503 after 4 tries (Service Unavailable)".
+ */
+function describeHttpFailure(f) {
+  const what  = f.code === 0 ? "no response" : String(f.code);
+  const tries = f.attempts > 1 ? ` after ${f.attempts} tries` : "";
+  return `${f.api} ${f.path} → ${what}${tries}` + (f.message ? ` (${f.message})` : "");
+}
+
+
+// ── SELF-TEST ────────────────────────────────────────────────────────────────
+
+/**
+ * Drives httpFetchAll through a stub fetcher and a no-op sleep:
+ * 429 + Retry-After → 200, 5xx until the tries run out, a rejected
+ * TBA key, a repeated failure and the retry deadline. Run it from
+ * the Apps Script editor; throws listing every failed check.
+ */
+function testHttpClient() {
+  const SB  = HTTP_API_BASES[0].base;
+  const TBA = HTTP_API_BASES[1].base;
+  const saved = { fetcher: httpFetcher, sleeper: httpSleeper, deadline: httpDeadline, report: httpReport };
+
+  let script = {}, sent = [], slept = [];
+  const failed = [];
+  const check  = (ok, what) => { if (!ok) failed.push(what); };
+  const reset  = responses => {
+    script = responses;
+    sent   = [];
+    slept  = [];
+    httpDeadline = 0;
+    resetHttpReport();
+  };
+
+  // Answers each path with the next [code, headers] queued for it
+  httpFetcher = {
+    fetchAll: reqs => reqs.map(r => {
+      sent.push(r.url);
+      const path = Object.keys(script).find(p => r.url.endsWith(p));
+      const [code, headers] = (path && script[path].shift()) || [200, {}];
+      return cachedResponse(code, code === 200 ? "{}" : '{"Error":"stub ' + code + '"}', headers || {});
+    })
+  };
+  httpSleeper = ms => slept.push(ms);
+
+  try {
+    // 429 with Retry-After, then 200
+    reset({ "/limited": [[429, { "Retry-After": "2" }], [200]] });
+    let res = httpFetchAll([{ url: SB + "/limited" }]);
+    check(res[0].getResponseCode() === 200, "429 → 200: final code 200");
+    check(sent.length === 2, "429 → 200: sent twice");
+    check(slept.join() === "2000", "429 → 200: slept Retry-After (2000 ms), got " + slept.join());
+    check(httpReport.retries === 1 && httpReport.failed === 0, "429 → 200: 1 retry, no failure");
+
+    // 503 every time — gives up after HTTP_MAX_ATTEMPTS
+    reset({ "/down": new Array(HTTP_MAX_ATTEMPTS).fill([503]) });
+    res = httpFetchAll([{ url: SB + "/down" }]);
+    check(res[0].getResponseCode() === 503, "503s: final code 503");
+    check(sent.length === HTTP_MAX_ATTEMPTS, `503s: sent ${HTTP_MAX_ATTEMPTS} times, got ${sent.length}`);
+    check(httpReport.failed === 1 && httpReport.failures[0].attempts === HTTP_MAX_ATTEMPTS, "503s: one failure with every try");
+
+    // The same failing URL twice: counted twice, listed once
+    reset({ "/gone": [[500], [500], [500], [500], [500], [500], [500], [500]] });
+    httpFetchAll([{ url: SB + "/gone" }]);
+    httpFetchAll([{ url: SB + "/gone" }]);
+    check(httpReport.failed === 2 && httpReport.failures.length === 1, "repeat: counted twice, listed once");
+
+    // Rejected TBA key: flagged, later TBA requests not sent, Statbotics still is
+    reset({ "/status": [[401]] });
+    res = httpFetchAll([{ url: TBA + "/status" }]);
+    check(res[0].getResponseCode() === 401 && sent.length === 1, "401: one request, no retry");
+    check(httpReport.tbaKeyInvalid, "401: TBA key flagged");
+    res = httpFetchAll([{ url: TBA + "/events" }, { url: SB + "/ok" }]);
+    check(res[0].getResponseCode() === 401 && res[1].getResponseCode() === 200, "401: later TBA request answered 401, Statbotics 200");
+    check(sent.length === 2 && sent[1].endsWith("/ok"), "401: later TBA request not sent");
+
+    // Deadline: a retry that would sleep past it isn't made
+    reset({ "/slow": [[429, { "Retry-After": "30" }], [200]] });
+    httpDeadline = Date.now() + 1000;
+    res = httpFetchAll([{ url: SB + "/slow" }]);
+    check(res[0].getResponseCode() === 429 && sent.length === 1 && !slept.length, "deadline: no retry past httpDeadline");
+
+  } finally {
+    httpFetcher  = saved.fetcher;
+    httpSleeper  = saved.sleeper;
+    httpDeadline = saved.deadline;
+    httpReport   = saved.report;
+  }
+
+  if (failed.length) throw new Error("testHttpClient — " + failed.length + " check(s) failed:\n" + failed.join("\n"));
+  Logger.log("testHttpClient — all checks passed");
+  return "✅ testHttpClient — all checks passed";
+}
+
+
+// ── UTILITIES ────────────────────────────────────────────────────────────────
+
+/**
+ * Records a final response in httpReport if it's a failure — counted
+ * every time, listed once per path and code.
+ */
+function noteHttpResult(url, res, attempts) {
+  const code = res.getResponseCode();
+  if (code === 200 || code === 304 || code === 404) return;
+
+  const tba = isTbaUrl(url);
+  if (tba && (code === 401 || code === 403)) httpReport.tbaKeyInvalid = true;
+  httpReport.failed++;
+
+  // The same URL is often asked for twice in one run — report it once
+  const api  = HTTP_API_BASES.find(a => url.startsWith(a.base));
+  const path = api ? url.slice(api.base.length) : url;
+  if (httpReport.failures.length >= HTTP_REPORT_MAX ||
+      httpReport.failures.some(f => f.path === path && f.code === code)) return;
+
+  httpReport.failures.push({
+    api:     tba ? "TBA" : (api ? "Statbotics" : "HTTP"),
+    path,
+    code,
+    attempts,
+    message: httpErrorText(res)
+  });
+}
+
+
+/**
+ * Milliseconds to wait before try number `attempt + 1`: Retry-After
+ * (seconds or an HTTP date) if sent, else exponential with jitter.
+ */
+function httpRetryDelay(res, attempt) {
+  const retryAfter = String(headerValue(res.getHeaders() || {}, "Retry-After")).trim();
+  let ms;
+  if (/^\d+$/.test(retryAfter)) {
+    ms = Number(retryAfter) * 1000;
+  } else if (retryAfter && !isNaN(Date.parse(retryAfter))) {
+    ms = Date.parse(retryAfter) - Date.now();
+  } else {
+    ms = HTTP_BASE_DELAY_MS * Math.pow(2, attempt - 1) + Math.floor(Math.random() * 250);
+  }
+  return Math.min(Math.max(ms, 0), HTTP_MAX_DELAY_MS);
+}
+
+
+// Short reason from an error body — TBA sends {"Error": …}.
+function httpErrorText(res) {
+  const text = String(res.getContentText() || "");
+  try {
+    const body = JSON.parse(text);
+    const msg  = body && (body.Error || body.error || body.detail || body.message);
+    if (msg) return String(msg).slice(0, 120);
+  } catch (e) { /* not JSON */ }
+  return text.replace(/\s+/g, " ").trim().slice(0, 120);
+}
+
+
+function isTbaUrl(url) {
+  return String(url).startsWith(HTTP_API_BASES[1].base);
+}
+
+
+// { real base: override } for every HTTP_BASE_* Script Property set.
+function httpBaseOverrides() {
+  const props = PropertiesService.getScriptProperties();
+  const out   = {};
+  HTTP_API_BASES.forEach(a => {
+    const override = props.getProperty(a.prop);
+    if (override) out[a.base] = override.replace(/\/+$/, "");
+  });
+  return out;
+}
+
+
+// Real API URL → its override base, when one is set.
+function rebaseApiUrl(url, bases) {
+  const base = Object.keys(bases).find(b => url.startsWith(b));
+  return base ? bases[base] + url.slice(base.length) : url;
+}
@@ -1,240 +1,274 @@
 
 // ============================================================
-// GRAPH CONFIG
+// GRAPH FIELDS — usable as X / Y / Color By on the "Dashboards"
+// tab (dashboards.js adds TEAM, EVENT, DISTRICT, EVENT_NUM).
 // Options: "EVENT_EPA" "PCT_ERROR" "QUAL_RANK" "WIN_RATE"
 //          "DISTRICT_PTS" "FINAL_PLACE"
 // ============================================================
-const GRAPH_X     = "DISTRICT_PTS";
-const GRAPH_Y     = "PCT_ERROR";
-const GRAPH_TITLE = "DISTRICT_PTS VS PCT_ERROR";
-
 const COLUMN_MAP = {
   "PCT_ERROR":    { col: 7,    label: "Avg % Error",    source: "sheet" },
   "QUAL_RANK":    { col: 4,    label: "Qual Rank",       source: "sheet" },
   "WIN_RATE":     { col: 5,    label: "Prelim Win Rate", source: "sheet" },
   "DISTRICT_PTS": { col: 11,   label: "District Points", source: "sheet" },
   "FINAL_PLACE":  { col: 3,    label: "Final Place",     source: "sheet" },
-  "EVENT_EPA":    { col: null, label: "Event EPA",       source: "api"   }
+  "EVENT_EPA":    { col: 13,   label: "Event EPA",       source: "api"   }   // tab first, API if blank
 };
 
 
 // ============================================================
-// FUNCTION 1 — Run ONCE to build all sheets from scratch.
+// FUNCTION 1 — Build a tab for every team on the Teams sheet.
+// Safe to re-run: missing tabs are created, existing ones are
+// merged into — only script-owned cells are written (owned.js).
 // Uses fetchAll for parallel API requests — much faster.
+// Runs as a batched job (refreshjob.js) so long team lists
+// carry on past the 6-minute limit.
 // ============================================================
 function createMasterFromTeamList_PLAINTEXT() {
 
-  const ss        = SpreadsheetApp.getActive();
-  const teamSheet = ss.getSheetByName("Teams");
-  if (!teamSheet) throw new Error("No sheet named 'Teams' found.");
-
-  const teams = teamSheet
-    .getRange("A:A")
-    .getValues()
-    .flat()
-    .filter(n => n)
-    .map(n => Number(n));
-
-  teams.forEach(team => {
-
-    let sheet = ss.getSheetByName(team.toString());
-    if (!sheet) sheet = ss.insertSheet(team.toString());
-
-    sheet.clear();
+  requireConfig(["TBA_KEY", "EVENT_YEAR", "CURRENT_YEAR"]);
 
-    sheet.getRange("A1").setValue(team).setFontWeight("bold");
-    sheet.getRange(1, 2, 1, 10).setValues([[
-      "Rank (District/World)", "EPA", "Auto EPA", "Endgame EPA",
-      "EPA Percentile", "Auto EPA Percentile", "Endgame EPA Percentile",
-      "", "", "Win/Loss Ratio"
-    ]]).setFontWeight("bold");
-
-    sheet.getRange("A2").setValue("Current").setFontWeight("bold");
-    sheet.getRange("A3").setValue("Last Year").setFontWeight("bold");
-    sheet.getRange("A4").setValue("Past 3 Years").setFontWeight("bold");
+  const teams = readTeamList();
+  startBatchedJob("setup", teams);
+}
 
-    sheet.getRange(6, 1, 1, 11).setValues([[
-      "", "district", "final place", "qual rank",
-      "Prelim Record", "Elim Record",
-      "avg percent error --predicted vs actual score (statbotics)",
-      "Captain", "Pick 1", "Pick 2", "district points"
-    ]]).setFontWeight("bold");
 
-    writeStatRows(sheet, team);
-    writeEventRows(sheet, team);
-  });
+// Reads team numbers from the "Teams" sheet (Dropped teams skipped —
+// see teamlist.js).
+function readTeamList() {
+  const teamSheet = SpreadsheetApp.getActive().getSheetByName(TEAMS_SHEET);
+  if (!teamSheet) throw new Error("No sheet named '" + TEAMS_SHEET + "' found.");
 
-  SpreadsheetApp.flush();
+  return readTeamNumbers(teamSheet);
 }
 
 
-// ============================================================
-// FUNCTION 2 — Refresh values only. Manual notes stay safe.
-// ============================================================
-function refreshStatboticsStats() {
+// Builds or completes one team tab (job step for "setup").
+// Never clears the tab — pasted SA rows and notes stay put.
+function setupTeamTab(team) {
 
   const ss = SpreadsheetApp.getActive();
 
-  ss.getSheets().forEach(sheet => {
-    const team = parseInt(sheet.getName());
-    if (isNaN(team)) return;
+  let sheet = ss.getSheetByName(team.toString());
+  if (!sheet) sheet = ss.insertSheet(team.toString());
 
-    writeStatRows(sheet, team);
-    writeEventRows(sheet, team);
-  });
+  writeOwnedRange(sheet, 1, 1, [[team], ["Current"], ["Last Year"], ["Past 3 Years"]]);
+  sheet.getRange(1, 1, 4, 1).setFontWeight("bold");
 
-  SpreadsheetApp.flush();
+  refreshTeamTab(team);
 }
 
 
-// ============================================================
-// FUNCTION 3 — Standalone graph builder.
-// ============================================================
-function createGraphsSheet() {
-
-  const ss   = SpreadsheetApp.getActive();
-  const xDef = COLUMN_MAP[GRAPH_X];
-  const yDef = COLUMN_MAP[GRAPH_Y];
-
-  if (!xDef || !yDef) throw new Error("Invalid GRAPH_X or GRAPH_Y.");
-
-  const existing = ss.getSheetByName(GRAPH_TITLE);
-  if (existing) ss.deleteSheet(existing);
-  const graphSheet = ss.insertSheet(GRAPH_TITLE);
+// Event table header row — rewritten on refresh so older tabs
+// pick up columns added since they were built.
+function writeEventHeader(sheet) {
+  writeOwnedRange(sheet, TEAM_TAB.EVENT_HEADER_ROW, 1, [[
+    "", "district", "final place", "qual rank",
+    "Prelim Record", "Elim Record",
+    "avg percent error --predicted vs actual score (statbotics)",
+    "Captain", "Pick 1", "Pick 2", "district points",
+    "event key", "event EPA"
+  ]]);
+  sheet.getRange(TEAM_TAB.EVENT_HEADER_ROW, 1, 1, TEAM_TAB.EVENT_COLS).setFontWeight("bold");
+}
 
-  graphSheet.getRange(1, 1, 1, 4)
-    .setValues([["Team", "Event", xDef.label, yDef.label]])
-    .setFontWeight("bold");
 
-  let dataRow = 2;
+// ============================================================
+// FUNCTION 2 — Refresh values only. Manual notes stay safe, and
+// hand edits to script-owned cells are kept (MANUAL_EDITS).
+// Tabs still in the old layout aren't touched here — migrate them
+// with Re-layout Team Tabs (teamtab.js).
+// Runs as a batched job, like FUNCTION 1; the summary lists API
+// requests that failed even after retries (http.js).
+// ============================================================
+function refreshStatboticsStats() {
+  SpreadsheetApp.getUi().alert(batchedJobSummary(startRefreshJob()));
+}
 
-  ss.getSheets().forEach(sheet => {
-    const team = parseInt(sheet.getName());
-    if (isNaN(team)) return;
 
-    const lastRow = sheet.getLastRow();
-    if (lastRow < 7) return;
+// UI-free core — starts the refresh job, returns it after its first batch.
+function startRefreshJob() {
 
-    const numEventRows = lastRow - 6;
-    if (numEventRows <= 0) return;
+  requireConfig(["TBA_KEY", "EVENT_YEAR", "CURRENT_YEAR"]);
 
-    const eventData = sheet.getRange(7, 1, numEventRows, 11).getValues();
+  const teams = SpreadsheetApp.getActive().getSheets()
+    .map(sheet => parseInt(sheet.getName()))
+    .filter(team => !isNaN(team));
 
-    eventData.forEach(row => {
-      const eventName = row[0];
-      if (!eventName || eventName === "") return;
+  return startBatchedJob("refresh", teams);
+}
 
-      let xVal = null;
-      if (xDef.source === "api") {
-        xVal = fetchEventEpaForRow(team, eventName);
-      } else {
-        xVal = resolveValue(GRAPH_X, row[xDef.col - 1]);
-      }
 
-      let yVal = null;
-      if (yDef.source === "api") {
-        yVal = fetchEventEpaForRow(team, eventName);
-      } else {
-        yVal = resolveValue(GRAPH_Y, row[yDef.col - 1]);
-      }
+// Refreshes one team tab (job step for "refresh").
+function refreshTeamTab(team) {
 
-      if (xVal === null || yVal === null) return;
+  const sheet = SpreadsheetApp.getActive().getSheetByName(team.toString());
+  if (!sheet) return;
 
-      graphSheet.getRange(dataRow, 1, 1, 4).setValues([[
-        team, eventName, xVal, yVal
-      ]]);
-      dataRow++;
-    });
-  });
-
-  const totalPoints = dataRow - 2;
+  writeStatHeader(sheet);
+  writeEventHeader(sheet);
+  writeStatRows(sheet, team);
+  writeEventRows(sheet, team);
+  writeHistorySection(sheet, team);
+}
 
-  if (totalPoints < 2) {
-    graphSheet.getRange("A2").setValue("Not enough data — run createMasterFromTeamList_PLAINTEXT or refreshStatboticsStats first.");
-    return;
-  }
 
-  graphSheet.autoResizeColumns(1, 4);
-
-  const chart = graphSheet.newChart()
-    .setChartType(Charts.ChartType.SCATTER)
-    .addRange(graphSheet.getRange(1, 3, dataRow - 1, 2))
-    .setOption("title", GRAPH_TITLE)
-    .setOption("hAxis.title", xDef.label)
-    .setOption("vAxis.title", yDef.label)
-    .setOption("hAxis.minValue", 0)
-    .setOption("vAxis.minValue", 0)
-    .setOption("legend.position", "none")
-    .setOption("pointSize", 6)
-    .setOption("width", 800)
-    .setOption("height", 500)
-    .setPosition(2, 6, 0, 0)
-    .build();
-
-  graphSheet.insertChart(chart);
-  SpreadsheetApp.flush();
-  Logger.log("Graph built: " + GRAPH_TITLE + " (" + totalPoints + " points)");
+// ============================================================
+// FUNCTION 3 — Graphs. Now built from the "Dashboards" tab
+// (dashboards.js); kept so existing buttons still work.
+// ============================================================
+function createGraphsSheet() {
+  buildDashboards();
 }
 
 
 // ============================================================
 // Writes stat summary rows 2, 3, 4 using parallel fetchAll.
+//
+//   EPA Percentile        Statbotics' own (world) percentile
+//   Auto / Endgame Pct    Statbotics has none, so computed here
+//                         against the field: EVENT_KEY's teams for
+//                         the Current row when the team is there,
+//                         else the team's district (state, then
+//                         country, for teams outside districts)
+//   Norm EPA              normalized EPA — comparable across seasons
+//   Past 3 Years          averages of the three season rows, ranks
+//                         rounded, W/L summed
 // ============================================================
 function writeStatRows(sheet, team) {
 
-  // Fire all 4 year requests in parallel
-  const urls = [CURRENT_YEAR, CURRENT_YEAR-1, EVENT_YEAR, EVENT_YEAR-1, EVENT_YEAR-2].map(year =>
-    ({ url: "https://api.statbotics.io/v3/team_year/" + team + "/" + year,
-       muteHttpExceptions: true })
-  );
+  const { CURRENT_YEAR, EVENT_YEAR, EVENT_KEY } = getConfig();
 
-  const responses = UrlFetchApp.fetchAll(urls);
-  const dataArr   = responses.map(r =>
-    r.getResponseCode() === 200 ? JSON.parse(r.getContentText()) : null
+  // Fire all 5 year requests in parallel
+  const years = [CURRENT_YEAR, CURRENT_YEAR-1, EVENT_YEAR, EVENT_YEAR-1, EVENT_YEAR-2];
+  const urls  = years.map(year =>
+    ({ url: teamYearUrl(team, year), muteHttpExceptions: true })
   );
 
+  const responses = cachedFetchAll(urls);
+  const dataArr   = responses.map(parseJsonResponse);
+
   // Row 2: try current year, fall back to last year
   const currentData = dataArr[0] || dataArr[1];
-  const lastData    = dataArr[2];
-  const y2Data      = dataArr[3];
-  const y3Data      = dataArr[4];
+  const currentYear = dataArr[0] ? years[0] : years[1];
+  const seasons     = [[dataArr[2], years[2]], [dataArr[3], years[3]], [dataArr[4], years[4]]];
 
-  function extract(d) {
-    if (!d) return ["", "", "", "", "", "", "", "", ""];
+  // Current row may use the event as its field
+  const eventField = EVENT_KEY && EVENT_KEY.startsWith(String(currentYear))
+    ? Object.values(fetchEventTeamEpas(EVENT_KEY))
+    : [];
+  const atEvent = eventField.some(te => Number(te.team) === Number(team));
+
+  function extract(d, year, field) {
+    if (!d) return { row: ["", "", "", "", "", "", "", "", ""] };
     const distRank  = d.epa?.ranks?.district?.rank  ?? "";
     const worldRank = d.epa?.ranks?.total?.rank     ?? "";
-    const epa       = d.epa?.breakdown?.total_points    ?? "";
-    const autoEpa   = d.epa?.breakdown?.auto_points     ?? "";
-    const endEpa    = d.epa?.breakdown?.endgame_points  ?? "";
-    const pct       = d.epa?.ranks?.total?.percentile   ?? "";
+    const b         = epaBreakdown(d);
+    const pct       = d.epa?.ranks?.total?.percentile ?? "";
+    const comp      = componentPercentiles(d, field || fetchPercentileField(d, year));
+    const norm      = d.epa?.norm ?? d.epa?.unitless ?? "";
     // Use W/L format with slash — avoids Google Sheets date auto-parsing
     const wl        = d.record ? d.record.wins + "/" + d.record.losses : "";
-    return [distRank + " / " + worldRank, epa, autoEpa, endEpa, pct, pct, pct, "", wl];
+    return {
+      d, comp, norm,
+      row: [distRank + " / " + worldRank, b.total ?? "", b.auto ?? "", b.endgame ?? "",
+            pct, comp.auto, comp.endgame, norm, wl]
+    };
   }
 
-  const valid = [lastData, y2Data, y3Data].filter(d => d);
+  const current = extract(currentData, currentYear, atEvent ? eventField : null);
+  const perYear = seasons.map(([d, year]) => extract(d, year, null));
+  const valid   = perYear.filter(x => x.d);
 
-  function avgField(fn) {
-    if (!valid.length) return "";
-    return valid.reduce((s, d) => s + fn(d), 0) / valid.length;
+  // Average of a field over the seasons that have it ("" if none)
+  function avgOf(fn, digits) {
+    const vals = valid.map(fn).filter(v => v !== "" && v !== null && v !== undefined && !isNaN(Number(v)));
+    if (!vals.length) return "";
+    const f = Math.pow(10, digits ?? 2);
+    return Math.round(vals.reduce((s, v) => s + Number(v), 0) / vals.length * f) / f;
   }
 
   const aggRow = valid.length ? [
-    "",
-    avgField(d => d.epa?.breakdown?.total_points   ?? 0),
-    avgField(d => d.epa?.breakdown?.auto_points    ?? 0),
-    avgField(d => d.epa?.breakdown?.endgame_points ?? 0),
-    "", "", "", "", ""
+    avgOf(x => x.d.epa?.ranks?.district?.rank, 0) + " / " + avgOf(x => x.d.epa?.ranks?.total?.rank, 0),
+    avgOf(x => x.d.epa?.breakdown?.total_points   ?? 0),
+    avgOf(x => x.d.epa?.breakdown?.auto_points    ?? 0),
+    avgOf(x => x.d.epa?.breakdown?.endgame_points ?? 0),
+    avgOf(x => x.d.epa?.ranks?.total?.percentile, 3),
+    avgOf(x => x.comp.auto, 3),
+    avgOf(x => x.comp.endgame, 3),
+    avgOf(x => x.norm, 0),
+    valid.some(x => x.d.record)
+      ? valid.reduce((s, x) => s + (x.d.record?.wins ?? 0), 0) + "/" +
+        valid.reduce((s, x) => s + (x.d.record?.losses ?? 0), 0)
+      : ""
   ] : ["", "", "", "", "", "", "", "", ""];
 
-  sheet.getRange(2, 2, 1, 9).setValues([extract(currentData)]);
-  sheet.getRange(3, 2, 1, 9).setValues([extract(lastData)]);
-  sheet.getRange(4, 2, 1, 9).setValues([aggRow]);
+  writeOwnedRange(sheet, 2, 2, [current.row, perYear[0].row, aggRow]);
+}
+
+
+// Stat header row — rewritten on refresh, like writeEventHeader.
+function writeStatHeader(sheet) {
+  writeOwnedRange(sheet, 1, 2, [[
+    "Rank (District/World)", "EPA", "Auto EPA", "Endgame EPA",
+    "EPA Percentile", "Auto EPA Percentile", "Endgame EPA Percentile",
+    "Norm EPA", "Win/Loss Ratio", ""
+  ]]);
+  sheet.getRange(1, 2, 1, 10).setFontWeight("bold");
+  sheet.getRange(1, TEAM_TAB.STAT_COLS.AUTO_PCT)
+    .setNote("Auto / endgame percentiles are vs the event field (Current row, when the team is at EVENT_KEY) or the team's district.");
+}
+
+
+// ============================================================
+// Field of team_year records a team's auto / endgame percentiles
+// are computed against: its district, else state, else country.
+// One request per field per run (and cached across runs).
+// ============================================================
+const percentileFieldCache = {};
+
+function fetchPercentileField(d, year) {
+  const filter = d.district ? "district=" + d.district
+               : d.state    ? "state="    + encodeURIComponent(d.state)
+               : d.country  ? "country="  + encodeURIComponent(d.country)
+               : null;
+  if (!filter) return [];
+
+  const key = year + "&" + filter;
+  if (!percentileFieldCache[key]) {
+    try {
+      const res = cachedFetch(
+        "https://api.statbotics.io/v3/team_years?year=" + year + "&" + filter + "&limit=1000",
+        { muteHttpExceptions: true }
+      );
+      percentileFieldCache[key] = parseJsonResponse(res) || [];
+    } catch (e) {
+      Logger.log("Statbotics team_years error for " + key + ": " + e);
+      percentileFieldCache[key] = [];
+    }
+  }
+  return percentileFieldCache[key];
+}
+
+
+/**
+ * { auto, endgame } percentiles (0–1, share of the rest of the field
+ * the team beats) of team_year / team_event record `d` within `field`.
+ * "" when the field is too small or the value is missing.
+ */
+function componentPercentiles(d, field) {
+  const mine = epaBreakdown(d);
+  const pct  = key => {
+    const values = field.map(r => epaBreakdown(r)[key]).filter(v => v !== null);
+    if (mine[key] === null || values.length < 2) return "";
+    const below = values.filter(v => v < mine[key]).length;
+    return Math.round(below / (values.length - 1) * 1000) / 1000;
+  };
+  return { auto: pct("auto"), endgame: pct("endgame") };
 }
 
 
 // ============================================================
-// Writes event rows starting at row 7 using parallel fetchAll.
+// Writes event rows 7–21 (TEAM_TAB event block) using parallel fetchAll.
 //
 // RECORD FORMAT FIX: Google Sheets auto-parses "7-4-0" as a
 // date. Using "W-L-T" suffix format prevents this entirely.
@@ -242,13 +276,15 @@ function writeStatRows(sheet, team) {
 // ============================================================
 function writeEventRows(sheet, team) {
 
+  const { TBA_KEY, EVENT_YEAR } = getConfig();
+
   // Step 1: get TBA event list
-  const tbaRes = UrlFetchApp.fetch(
+  const tbaRes = cachedFetch(
     "https://www.thebluealliance.com/api/v3/team/frc" + team + "/events/" + EVENT_YEAR,
     { headers: { "X-TBA-Auth-Key": TBA_KEY }, muteHttpExceptions: true }
   );
 
-  if (tbaRes.getResponseCode() !== 200) return;
+  if (tbaRes.getResponseCode() !== 200) return;   // failures are in the run report (http.js)
 
   const events = JSON.parse(tbaRes.getContentText());
   if (!events || events.length === 0) return;
@@ -272,9 +308,9 @@ function writeEventRows(sheet, team) {
     muteHttpExceptions: true
   }));
 
-  const sbResponses       = UrlFetchApp.fetchAll(sbUrls);
-  const matchResponses    = UrlFetchApp.fetchAll(matchUrls);
-  const allianceResponses = UrlFetchApp.fetchAll(allianceUrls);
+  const sbResponses       = cachedFetchAll(sbUrls);
+  const matchResponses    = cachedFetchAll(matchUrls);
+  const allianceResponses = cachedFetchAll(allianceUrls);
 
   const rows     = [];
   const boldCols = [];
@@ -292,6 +328,7 @@ function writeEventRows(sheet, team) {
     let pick1        = "";
     let pick2        = "";
     let districtPts  = "";
+    let eventEpa     = "";
 
     // --- Statbotics team_event ---
     try {
@@ -312,6 +349,9 @@ function writeEventRows(sheet, team) {
         if (sb.district_points !== undefined && sb.district_points !== null) {
           districtPts = sb.district_points;
         }
+
+        // Kept on the tab so graphs don't refetch it (see COLUMN_MAP.EVENT_EPA)
+        eventEpa = sb.epa?.breakdown?.total_points ?? "";
       }
     } catch (e) {
       Logger.log("Statbotics error - team " + team + " event " + event.key + ": " + e);
@@ -391,65 +431,82 @@ function writeEventRows(sheet, team) {
     rows.push([
       eventName, districtCode, finalPlace, qualRank,
       prelimRecord, elimRecord, avgPctError,
-      captain, pick1, pick2, districtPts
+      captain, pick1, pick2, districtPts,
+      event.key, eventEpa
     ]);
   });
 
+  // The event table owns rows 7–21 only (see TEAM_TAB) so it can never
+  // grow into the scouting sections below it.
+  if (rows.length > TEAM_TAB.EVENT_MAX_ROWS) {
+    Logger.log("Team " + team + ": " + rows.length + " events, only the first " +
+               TEAM_TAB.EVENT_MAX_ROWS + " fit in the event table");
+    rows.length     = TEAM_TAB.EVENT_MAX_ROWS;
+    boldCols.length = TEAM_TAB.EVENT_MAX_ROWS;
+  }
+
   if (rows.length > 0) {
-    sheet.getRange(7, 1, rows.length + 5, 11).clearContent();
-    sheet.getRange(7, 1, rows.length, 11).setValues(rows);
+    const first = TEAM_TAB.EVENT_FIRST_ROW;
+    const block = rows.concat(
+      Array.from({ length: TEAM_TAB.EVENT_MAX_ROWS - rows.length }, () => new Array(TEAM_TAB.EVENT_COLS).fill(""))
+    );
+    writeOwnedRange(sheet, first, 1, block, TEAM_TAB.EVENT_KEY_COL - 1);
+    sheet.getRange(first, 1, TEAM_TAB.EVENT_MAX_ROWS, TEAM_TAB.EVENT_COLS).setFontWeight("normal");
 
     boldCols.forEach((col, i) => {
-      if (col !== null) sheet.getRange(7 + i, col).setFontWeight("bold");
+      if (col !== null) sheet.getRange(first + i, col).setFontWeight("bold");
     });
   }
 }
 
 
 // ============================================================
-// fetchAll-based event EPA lookup for graph builder
+// Event EPA for many (team, event name) pairs, for graphs whose
+// team tabs predate the event EPA column. Two deduplicated
+// fetchAll passes: TBA event lists for teams whose rows have no
+// event key, then one team_event request per distinct pair.
+// pairs: [{ team, event, key }] — key may be blank.
+// Returns { "team|event": epa|null }.
 // ============================================================
-const eventKeyCache = {};
+function fetchEventEpas(pairs) {
+  const { TBA_KEY, EVENT_YEAR } = getConfig();
+  const out = {};
+  if (!pairs.length) return out;
+
+  // Pass 1: event name → key, only for teams that need it
+  const needLists = [...new Set(pairs.filter(p => !p.key).map(p => p.team))];
+  const listRes   = cachedFetchAll(needLists.map(team => ({
+    url: "https://www.thebluealliance.com/api/v3/team/frc" + team + "/events/" + EVENT_YEAR,
+    headers: { "X-TBA-Auth-Key": TBA_KEY },
+    muteHttpExceptions: true
+  })));
 
-function fetchEventEpaForRow(team, eventName) {
-  const cacheKey = team + "_" + EVENT_YEAR;
+  const keyByName = {};
+  needLists.forEach((team, i) => {
+    (parseJsonResponse(listRes[i]) || []).forEach(e => { keyByName[team + "|" + e.name] = e.key; });
+  });
 
-  if (!eventKeyCache[cacheKey]) {
-    eventKeyCache[cacheKey] = {};
-    try {
-      const res = UrlFetchApp.fetch(
-        "https://www.thebluealliance.com/api/v3/team/frc" + team + "/events/" + EVENT_YEAR,
-        { headers: { "X-TBA-Auth-Key": TBA_KEY }, muteHttpExceptions: true }
-      );
-      if (res.getResponseCode() === 200) {
-        JSON.parse(res.getContentText()).forEach(e => {
-          eventKeyCache[cacheKey][e.name] = e.key;
-        });
-      }
-    } catch (e) {
-      Logger.log("TBA event list error for team " + team + ": " + e);
-    }
-  }
+  // Pass 2: one team_event per distinct (team, key)
+  const wanted = {};
+  pairs.forEach(p => {
+    const key = p.key || keyByName[p.team + "|" + p.event];
+    out[p.team + "|" + p.event] = null;
+    if (key) wanted[p.team + "/" + key] = (wanted[p.team + "/" + key] || []).concat(p.team + "|" + p.event);
+  });
 
-  const eventKey = eventKeyCache[cacheKey][eventName];
-  if (!eventKey) return null;
+  const ids = Object.keys(wanted);
+  const res = cachedFetchAll(ids.map(id => ({
+    url: "https://api.statbotics.io/v3/team_event/" + id,
+    muteHttpExceptions: true
+  })));
 
-  try {
-    const res = UrlFetchApp.fetch(
-      "https://api.statbotics.io/v3/team_event/" + team + "/" + eventKey,
-      { muteHttpExceptions: true }
-    );
-    if (res.getResponseCode() === 200) {
-      const sb = JSON.parse(res.getContentText());
-      if (sb.epa?.breakdown?.total_points !== undefined) {
-        return sb.epa.breakdown.total_points;
-      }
-    }
-  } catch (e) {
-    Logger.log("Statbotics EPA error for " + team + "/" + eventKey + ": " + e);
-  }
+  ids.forEach((id, i) => {
+    const epa = parseJsonResponse(res[i])?.epa?.breakdown?.total_points;
+    if (epa === undefined || epa === null) return;
+    wanted[id].forEach(k => { out[k] = epa; });
+  });
 
-  return null;
+  return out;
 }
 
 
@@ -469,4 +526,127 @@ function resolveValue(key, raw) {
   const num = Number(raw);
   if (isNaN(num)) return null;
   return num;
-}
\ No newline at end of file
+}
+
+
+// ============================================================
+// Shared fetch helpers — used by the strategy tools so every
+// team_year / TBA read goes through one place.
+// ============================================================
+function teamYearUrl(team, year) {
+  return "https://api.statbotics.io/v3/team_year/" + team + "/" + year;
+}
+
+
+function parseJsonResponse(res) {
+  return res.getResponseCode() === 200 ? JSON.parse(res.getContentText()) : null;
+}
+
+
+// GET a TBA v3 path (e.g. "/event/2026casj/teams/keys"). null on failure.
+function tbaGet(path) {
+  const { TBA_KEY } = getConfig();
+  try {
+    return parseJsonResponse(cachedFetch(
+      "https://www.thebluealliance.com/api/v3" + path,
+      { headers: { "X-TBA-Auth-Key": TBA_KEY }, muteHttpExceptions: true }
+    ));
+  } catch (e) {
+    Logger.log("TBA error for " + path + ": " + e);
+    return null;
+  }
+}
+
+
+// team_year data for many teams in one fetchAll, same source as
+// writeStatRows' "Current" row: year first, falling back to year-1.
+// Returns { team: data|null }.
+function fetchTeamYears(teams, year) {
+  const out = {};
+  if (!teams.length) return out;
+
+  const reqs = [];
+  teams.forEach(t => {
+    reqs.push({ url: teamYearUrl(t, year),     muteHttpExceptions: true });
+    reqs.push({ url: teamYearUrl(t, year - 1), muteHttpExceptions: true });
+  });
+
+  const dataArr = cachedFetchAll(reqs).map(parseJsonResponse);
+  teams.forEach((t, i) => { out[t] = dataArr[2 * i] || dataArr[2 * i + 1]; });
+  return out;
+}
+
+
+// EPA breakdown from a team_year or team_event record (nulls if absent).
+function epaBreakdown(d) {
+  const b = d?.epa?.breakdown || {};
+  return {
+    total:   b.total_points   ?? null,
+    auto:    b.auto_points    ?? null,
+    teleop:  b.teleop_points  ?? null,
+    endgame: b.endgame_points ?? null
+  };
+}
+
+
+// Every match at an event from Statbotics (all levels). [] on failure.
+function fetchEventMatches(eventKey) {
+  try {
+    const res = cachedFetch(
+      "https://api.statbotics.io/v3/matches?event=" + eventKey + "&limit=1000",
+      { muteHttpExceptions: true }
+    );
+    return parseJsonResponse(res) || [];
+  } catch (e) {
+    Logger.log("Statbotics matches error for " + eventKey + ": " + e);
+    return [];
+  }
+}
+
+
+// team_event records for every team at an event → { team: record }.
+function fetchEventTeamEpas(eventKey) {
+  const out = {};
+  try {
+    const res = cachedFetch(
+      "https://api.statbotics.io/v3/team_events?event=" + eventKey + "&limit=1000",
+      { muteHttpExceptions: true }
+    );
+    (parseJsonResponse(res) || []).forEach(te => { out[te.team] = te; });
+  } catch (e) {
+    Logger.log("Statbotics team_events error for " + eventKey + ": " + e);
+  }
+  return out;
+}
+
+
+// "2026casj_qm12" → "qm12"
+function matchLabel(match) {
+  const key = String(match.key || "");
+  return key.includes("_") ? key.split("_")[1] : key;
+}
+
+
+// Sort key so matches list in play order: quals, then elims by round.
+function matchSortKey(match) {
+  const levels = { qm: 0, ef: 1, qf: 2, sf: 3, f: 4 };
+  const lvl    = levels[match.comp_level] ?? 5;
+  return lvl * 1e6 + (match.set_number || 0) * 1e3 + (match.match_number || 0);
+}
+
+
+// "red" / "blue" if `team` played in the match, else null.
+function teamSide(match, team) {
+  if ((match.alliances?.red?.team_keys  || []).includes(team)) return "red";
+  if ((match.alliances?.blue?.team_keys || []).includes(team)) return "blue";
+  return null;
+}
+
+
+// "W" / "L" / "T" for `side`, "" if the match hasn't been played.
+function matchResultFor(match, side) {
+  const r = match.result;
+  if (!r || r.red_score === null || r.red_score === undefined) return "";
+  const winner = r.winner || (r.red_score > r.blue_score ? "red" : r.blue_score > r.red_score ? "blue" : "tie");
+  return winner === side ? "W" : winner === "tie" ? "T" : "L";
+}
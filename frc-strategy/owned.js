@@ -0,0 +1,275 @@
+// ============================================================
+// SCRIPT-OWNED CELLS — setup / refresh never wipe a team tab.
+//
+// The script only writes into the cells it owns on a team tab:
+// the A1–A4 labels, the stat header + rows, the event header +
+// event table block, and the SEASON HISTORY and SCOUTING SUMMARY
+// sections. Everything else (SCOUTING NOTES, MATCH SCOUTING,
+// anything typed outside those cells) is never written by setup
+// or refresh.
+//
+// What the script last wrote into each owned region is kept on
+// the hidden "Tab Snapshots" tab, so a cell that no longer
+// matches it was edited by hand:
+//   MANUAL_EDITS = KEEP        the edit stays, with a ✋ note
+//                              showing the script's value
+//   MANUAL_EDITS = OVERWRITE   the script value wins
+// Clear an edited cell to hand it back to the script.
+//
+// Before a hand edit (or, on a tab with no snapshot yet, any
+// value the script didn't write) is overwritten, the whole tab
+// is copied to a hidden "Backup <tab> <time>" sheet — the last
+// BACKUP_KEEP per tab are kept.
+// ============================================================
+
+const SNAPSHOT_SHEET = "Tab Snapshots";
+const BACKUP_PREFIX  = "Backup ";
+const BACKUP_KEEP    = 3;
+const KEPT_NOTE      = "✋ Edited by hand — kept.";
+
+let snapshotIndex = null;        // { key: { row, cells } }, loaded once per run
+const backedUpTabs = new Set();  // tabs already backed up this run
+
+// Running totals for the batched job's status row
+const ownedTally = { kept: 0, overwritten: 0, backups: 0 };
+
+
+// ============================================================
+// Writes `values` at (row, col) — for fixed owned regions like
+// the stat rows and the event table. With `keyCol` (0-based, in
+// `values`) rows are matched to the tab and the snapshot by that
+// column rather than by position, so a hand edit in the event
+// table stays with its event when a new one shifts the rows.
+// Returns { kept, overwritten }.
+// ============================================================
+function writeOwnedRange(sheet, row, col, values, keyCol) {
+  const range   = sheet.getRange(row, col, values.length, values[0].length);
+  const key     = sheet.getName() + "!" + range.getA1Notation();
+  const onTab   = range.getValues();
+  const last    = loadSnapshot(key);
+  const aligned = keyCol === undefined
+    ? { current: onTab, last }
+    : alignOwnedRows(sheet, values, onTab, last, keyCol);
+  const merged  = mergeOwnedCells(sheet, values, aligned.current, aligned.last);
+
+  const dirty = merged.values.some((r, i) => r.some((v, j) => cellKey(v) !== cellKey(onTab[i][j])));
+  if (dirty) range.setValues(merged.values);
+
+  // ✋ notes on kept cells; our old notes go once the script owns the cell again
+  const notes   = range.getNotes();
+  let notesDirty = false;
+  notes.forEach((r, i) => r.forEach((note, j) => {
+    const want = merged.notes[i][j] || (String(note).startsWith(KEPT_NOTE) ? "" : note);
+    if (want !== note) {
+      notes[i][j] = want;
+      notesDirty  = true;
+    }
+  }));
+  if (notesDirty) range.setNotes(notes);
+
+  saveSnapshot(key, ownedSnapshot(values, merged, dirty ? range.getValues() : onTab));
+  return { kept: merged.kept, overwritten: merged.overwritten };
+}
+
+
+// ============================================================
+// Replaces the data rows of a section the script owns (like
+// SEASON HISTORY), matching old and new rows on column A so
+// hand edits follow their row. Columns past `rows`' width are
+// the user's and carried over as they are.
+// Returns { kept, overwritten }.
+// ============================================================
+function writeOwnedSection(sheet, section, rows) {
+  const key      = sheet.getName() + "!" + sheet.getRange(section.titleRow, 1).getValue();
+  const existing = getSectionRows(sheet, section);
+  const last     = loadSnapshot(key);
+  const width    = rows.length ? rows[0].length : 0;
+
+  const byKey   = (list, k) => list.find(r => cellKey(r[0]) === cellKey(k));
+  const current = rows.map(r => byKey(existing.values, r[0]) || []);
+  const before  = last ? rows.map(r => byKey(last, r[0]) || []) : null;
+  const merged  = mergeOwnedCells(sheet, rows, current, before);
+
+  // Rows that are going away — back up unless they're exactly ours
+  const gone = existing.values.filter(r => !byKey(rows, r[0]));
+  if (gone.some(r => !last || JSON.stringify((byKey(last, r[0]) || []).slice(0, width)) !== JSON.stringify(r.slice(0, width).map(cellKey)))) {
+    backupTeamTab(sheet);
+  }
+
+  const out   = merged.values.map((r, i) => r.concat(current[i].slice(width)));
+  const first = replaceSectionRows(sheet, section, out);
+  merged.notes.forEach((r, i) => r.forEach((note, j) => {
+    if (note) sheet.getRange(first + i, j + 1).setNote(note);
+  }));
+
+  const after = rows.length ? sheet.getRange(first, 1, rows.length, width).getValues() : [];
+  saveSnapshot(key, ownedSnapshot(rows, merged, after));
+  return { kept: merged.kept, overwritten: merged.overwritten };
+}
+
+
+/**
+ * Cell-by-cell merge of what the script wants (`want`) with what the tab
+ * holds (`current`), given what the script wrote last time (`last`, or
+ * null if never recorded). Backs the tab up first when needed.
+ * Returns { values, notes, kept, overwritten }.
+ */
+function mergeOwnedCells(sheet, want, current, last) {
+  const keep = getConfig().MANUAL_EDITS === "KEEP";
+  let kept = 0, overwritten = 0, backup = false;
+
+  const notes  = want.map(r => r.map(() => ""));
+  const values = want.map((r, i) => r.map((v, j) => {
+    const cur = current[i] ? current[i][j] : "";
+    if (cellKey(cur) === cellKey(v)) return cur;
+
+    // Blank, or exactly what the script wrote last time → ours to replace
+    const unknown = !last;
+    const edited  = cellKey(cur) !== "" && !unknown && cellKey(cur) !== (last[i] ? last[i][j] : "");
+    if (edited && keep) {
+      kept++;
+      notes[i][j] = `${KEPT_NOTE} Script value: ${cellKey(v) === "" ? "(blank)" : v}. Clear the cell to hand it back.`;
+      return cur;
+    }
+    if (cellKey(cur) !== "" && (edited || unknown)) backup = true;
+    if (edited) overwritten++;
+    return v;
+  }));
+
+  if (backup) backupTeamTab(sheet);
+  ownedTally.kept        += kept;
+  ownedTally.overwritten += overwritten;
+
+  return { values, notes, kept, overwritten };
+}
+
+
+// ============================================================
+// Copies a tab to a hidden backup sheet — once per tab per run.
+// ============================================================
+function backupTeamTab(sheet) {
+  const name = sheet.getName();
+  if (backedUpTabs.has(name)) return;
+  backedUpTabs.add(name);
+
+  const ss     = SpreadsheetApp.getActive();
+  const prefix = BACKUP_PREFIX + name + " ";
+  const stamp  = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), "yyyy-MM-dd HH:mm:ss");
+
+  const copy = sheet.copyTo(ss);
+  copy.setName(prefix + stamp);
+  copy.hideSheet();
+  ownedTally.backups++;
+  Logger.log(`Backed up "${name}" → "${prefix + stamp}" before overwriting`);
+
+  // Keep the newest BACKUP_KEEP
+  ss.getSheets()
+    .filter(s => s.getName().startsWith(prefix))
+    .sort((a, b) => b.getName().localeCompare(a.getName()))
+    .slice(BACKUP_KEEP)
+    .forEach(s => ss.deleteSheet(s));
+}
+
+
+// ── UTILITIES ────────────────────────────────────────────────────────────────
+
+/**
+ * Lines the tab's rows and the snapshot's rows up with `want` by the
+ * `keyCol` value. A row of `want` with a blank key keeps its position,
+ * unless the row there moved elsewhere. Rows left over on the tab
+ * (an event that's gone, something typed in the block) get the tab
+ * backed up unless the script wrote them exactly like that.
+ * Returns { current, last } for mergeOwnedCells.
+ */
+function alignOwnedRows(sheet, want, onTab, last, keyCol) {
+  const keyOf  = r => cellKey(r ? r[keyCol] : "");
+  const wanted = new Set(want.map(keyOf).filter(k => k));
+  const slot   = (rows, r, i) => {
+    const k = keyOf(r);
+    if (k) return rows.findIndex(x => keyOf(x) === k);
+    return rows[i] && !wanted.has(keyOf(rows[i])) ? i : -1;
+  };
+
+  const used    = new Set();
+  const current = want.map((r, i) => {
+    const at = slot(onTab, r, i);
+    if (at < 0) return [];
+    used.add(at);
+    return onTab[at];
+  });
+  const before = last && want.map((r, i) => {
+    const at = slot(last, r, i);
+    return at < 0 ? [] : last[at];
+  });
+
+  const ours = row => last && last.some(l => JSON.stringify(l) === JSON.stringify(row.map(cellKey)));
+  if (onTab.some((r, i) => !used.has(i) && r.some(v => cellKey(v) !== "") && !ours(r))) {
+    backupTeamTab(sheet);
+  }
+
+  return { current, last: before };
+}
+
+
+/**
+ * What to remember as "last written": what the tab holds after the
+ * write (Sheets turns "5/3" into a date, "12" into 12 …), except kept
+ * hand edits, which keep the script's value so they still read as edits.
+ */
+function ownedSnapshot(values, merged, after) {
+  return values.map((r, i) => r.map((v, j) => merged.notes[i][j] ? v : (after[i] ? after[i][j] : v)));
+}
+
+
+/**
+ * Comparable form of a cell value — getValues() returns Dates and
+ * numbers, snapshots hold JSON.
+ */
+function cellKey(v) {
+  if (v === null || v === undefined) return "";
+  if (v instanceof Date) return String(v.getTime());
+  return String(v);
+}
+
+
+/**
+ * What the script last wrote for `key` (rows of cellKey strings), or null.
+ */
+function loadSnapshot(key) {
+  if (!snapshotIndex) {
+    snapshotIndex = {};
+    const sheet = SpreadsheetApp.getActive().getSheetByName(SNAPSHOT_SHEET);
+    if (sheet && sheet.getLastRow() > 1) {
+      sheet.getRange(2, 1, sheet.getLastRow() - 1, 2).getValues().forEach((r, i) => {
+        try {
+          if (r[0]) snapshotIndex[r[0]] = { row: i + 2, cells: JSON.parse(r[1]) };
+        } catch (e) {
+          Logger.log("Unreadable snapshot for " + r[0] + ": " + e);
+        }
+      });
+    }
+  }
+  return snapshotIndex[key] ? snapshotIndex[key].cells : null;
+}
+
+
+function saveSnapshot(key, values) {
+  loadSnapshot(key);
+  const cells = values.map(r => r.map(cellKey));
+  const json  = JSON.stringify(cells);
+  const entry = snapshotIndex[key];
+  if (entry && JSON.stringify(entry.cells) === json) return;
+
+  const ss  = SpreadsheetApp.getActive();
+  let sheet = ss.getSheetByName(SNAPSHOT_SHEET);
+  if (!sheet) {
+    sheet = ss.insertSheet(SNAPSHOT_SHEET);
+    sheet.getRange(1, 1, 1, 3).setValues([["Region", "Last Written (JSON)", "Updated"]]).setFontWeight("bold");
+    sheet.setFrozenRows(1);
+    sheet.hideSheet();
+  }
+
+  const row = entry ? entry.row : sheet.getLastRow() + 1;
+  sheet.getRange(row, 1, 1, 3).setValues([[key, json, new Date()]]);
+  snapshotIndex[key] = { row, cells };
+}
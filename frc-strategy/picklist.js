@@ -0,0 +1,244 @@
+// ============================================================
+// PICK LIST
+//
+// Ranks every numeric team tab by a weighted composite score:
+//   • EPA, Auto EPA, Endgame EPA  — "Current" row (writeStatRows)
+//   • Win rate, district points   — event table (resolveValue)
+//   • Averages of every numeric SA_DATA_MASTER column
+//
+// Weights live on the "Pick Weights" tab (created on first run,
+// SA columns added at weight 0). Each metric is scaled 0–1 across
+// the field, so weights compare like-for-like; a negative weight
+// penalizes a metric. Score = 0–100. A team with no data for a
+// metric is scored at the field average for it, so a gap neither
+// sinks a team nor (on a negative weight) lifts it.
+//
+// "Picked" / "Do Not Pick" checkboxes are keyed by team and
+// carried over every time the list is rebuilt.
+// ============================================================
+
+const PICK_LIST_SHEET    = "Pick List";
+const PICK_WEIGHTS_SHEET = "Pick Weights";
+const SA_METRIC_PREFIX   = "SA: ";
+
+const PICK_METRICS = [
+  { key: "EPA",          label: "EPA",          weight: 1,    get: m => m.epa },
+  { key: "AUTO_EPA",     label: "Auto EPA",     weight: 0.5,  get: m => m.autoEpa },
+  { key: "ENDGAME_EPA",  label: "Endgame EPA",  weight: 0.5,  get: m => m.endgameEpa },
+  { key: "WIN_RATE",     label: "Win Rate",     weight: 0.5,  get: m => m.winRate },
+  { key: "DISTRICT_PTS", label: "District Pts", weight: 0.25, get: m => m.districtPts }
+];
+
+
+function buildPickList() {
+  requireConfig(["SA_SOURCE_SHEET", "SA_TEAM_COLUMN"]);
+
+  const ss = SpreadsheetApp.getActive();
+
+  // ── Gather per-team metrics ───────────────────────────────────────────────
+  const sa    = averageSAMetrics();
+  const teams = [];
+
+  ss.getSheets().forEach(sheet => {
+    const team = parseInt(sheet.getName());
+    if (isNaN(team)) return;
+
+    const m      = readTeamTabMetrics(sheet);
+    const values = {};
+    PICK_METRICS.forEach(pm => { values[pm.key] = pm.get(m); });
+    sa.headers.forEach(h => {
+      const avg = sa.byTeam[team] ? sa.byTeam[team][h] : null;
+      values[SA_METRIC_PREFIX + h] = avg === undefined ? null : avg;
+    });
+    teams.push({ team, values });
+  });
+
+  if (!teams.length) {
+    SpreadsheetApp.getUi().alert("No team tabs found — run createMasterFromTeamList_PLAINTEXT first.");
+    return;
+  }
+
+  // ── Weights + composite score ─────────────────────────────────────────────
+  const weights = readPickWeights(sa.headers);
+  const known   = PICK_METRICS.map(pm => pm.key).concat(sa.headers.map(h => SA_METRIC_PREFIX + h));
+  const active  = known.filter(k => weights[k]);
+  const totalW  = active.reduce((s, k) => s + Math.abs(weights[k]), 0);
+
+  const ranges = {};
+  active.forEach(k => {
+    const vals = teams.map(t => t.values[k]).filter(v => v !== null && v !== undefined);
+    ranges[k]  = vals.length
+      ? { min: Math.min(...vals), max: Math.max(...vals), mean: vals.reduce((s, v) => s + v, 0) / vals.length }
+      : null;
+  });
+
+  teams.forEach(t => {
+    let score = 0;
+    active.forEach(k => {
+      const r = ranges[k];
+      if (!r) return;   // nobody has data — adds nothing
+      const v = t.values[k] === null || t.values[k] === undefined ? r.mean : t.values[k];
+      const norm = r.max === r.min ? 1 : (v - r.min) / (r.max - r.min);
+      score += weights[k] * norm;
+    });
+    t.score = totalW ? Math.round(score / totalW * 1000) / 10 : 0;
+  });
+
+  teams.sort((a, b) => b.score - a.score || a.team - b.team);
+
+  // ── Write table (checkbox state carried over) ────────────────────────────
+  const saKeys  = sa.headers.map(h => SA_METRIC_PREFIX + h).filter(k => weights[k] !== 0);
+  const columns = PICK_METRICS.map(pm => ({ key: pm.key, label: pm.label }))
+    .concat(saKeys.map(k => ({ key: k, label: k })));
+
+  const marks = readPickMarks();
+  writePickList(teams, columns, marks);
+
+  SpreadsheetApp.flush();
+  Logger.log("Pick list built: " + teams.length + " teams, " + active.length + " weighted metric(s)");
+}
+
+
+// ============================================================
+// Averages every numeric SA_DATA_MASTER column per team — the
+// means from the scouting summary engine (scoutingsummary.js).
+// Returns { headers: [...], byTeam: { team: { header: avg } } }.
+// ============================================================
+function averageSAMetrics() {
+  const agg = aggregateSAData();
+  const out = { headers: agg.numeric, byTeam: {} };
+
+  Object.keys(agg.byTeam).forEach(team => {
+    out.byTeam[team] = {};
+    agg.numeric.forEach(h => {
+      const mean = agg.byTeam[team].stats[h].mean;
+      if (mean !== null) out.byTeam[team][h] = mean;
+    });
+  });
+  return out;
+}
+
+
+// ── UTILITIES ────────────────────────────────────────────────────────────────
+
+/**
+ * Reads { METRIC: weight } from the Pick Weights tab, creating it (or adding
+ * rows for new SA columns at weight 0) as needed.
+ */
+function readPickWeights(saHeaders) {
+  const ss  = SpreadsheetApp.getActive();
+  let sheet = ss.getSheetByName(PICK_WEIGHTS_SHEET);
+  if (!sheet) {
+    sheet = ss.insertSheet(PICK_WEIGHTS_SHEET);
+    sheet.getRange(1, 1, 1, 3)
+      .setValues([["Metric", "Weight", "Notes"]])
+      .setFontWeight("bold");
+    sheet.setFrozenRows(1);
+  }
+
+  const weights = {};
+  const lastRow = sheet.getLastRow();
+  if (lastRow > 1) {
+    sheet.getRange(2, 1, lastRow - 1, 2).getValues().forEach(([k, w]) => {
+      const key = String(k).trim();
+      if (!key) return;
+      const n = Number(w);
+      weights[key] = (w === "" || isNaN(n)) ? 0 : n;
+    });
+  }
+
+  const missing = PICK_METRICS
+    .map(pm => [pm.key, pm.weight, pm.label])
+    .concat(saHeaders.map(h => [SA_METRIC_PREFIX + h, 0, "Average from SA data"]))
+    .filter(([k]) => !(k in weights));
+
+  if (missing.length) {
+    sheet.getRange(Math.max(sheet.getLastRow(), 1) + 1, 1, missing.length, 3).setValues(missing);
+    missing.forEach(([k, w]) => { weights[k] = w; });
+  }
+  return weights;
+}
+
+
+/**
+ * Returns { team: { picked, dnp } } from the current Pick List tab.
+ */
+function readPickMarks() {
+  const sheet = SpreadsheetApp.getActive().getSheetByName(PICK_LIST_SHEET);
+  const marks = {};
+  if (!sheet || sheet.getLastRow() < 2) return marks;
+
+  const data    = sheet.getRange(1, 1, sheet.getLastRow(), sheet.getLastColumn()).getValues();
+  const hdr     = data[0];
+  const teamCol = hdr.indexOf("Team");
+  const pickCol = hdr.indexOf("Picked");
+  const dnpCol  = hdr.indexOf("Do Not Pick");
+  if (teamCol < 0) return marks;
+
+  data.slice(1).forEach(row => {
+    const team = Number(row[teamCol]);
+    if (!team) return;
+    marks[team] = {
+      picked: pickCol >= 0 && row[pickCol] === true,
+      dnp:    dnpCol  >= 0 && row[dnpCol]  === true
+    };
+  });
+  return marks;
+}
+
+
+/**
+ * Rewrites the Pick List tab: sorted rows, checkboxes, filter and
+ * formatting rules that grey out picked teams and flag do-not-picks.
+ */
+function writePickList(teams, columns, marks) {
+  const ss  = SpreadsheetApp.getActive();
+  let sheet = ss.getSheetByName(PICK_LIST_SHEET);
+  if (!sheet) sheet = ss.insertSheet(PICK_LIST_SHEET);
+
+  if (sheet.getFilter()) sheet.getFilter().remove();
+  sheet.clear();
+  sheet.setConditionalFormatRules([]);
+
+  const header = ["Rank", "Team", "Score"]
+    .concat(columns.map(c => c.label))
+    .concat(["Picked", "Do Not Pick"]);
+
+  const round = v => (v === null || v === undefined) ? "" : Math.round(v * 100) / 100;
+  const rows  = teams.map((t, i) => {
+    const m = marks[t.team] || { picked: false, dnp: false };
+    return [i + 1, t.team, t.score]
+      .concat(columns.map(c => round(t.values[c.key])))
+      .concat([m.picked, m.dnp]);
+  });
+
+  const width   = header.length;
+  const pickCol = width - 1;
+  const dnpCol  = width;
+
+  sheet.getRange(1, 1, 1, width).setValues([header]).setFontWeight("bold");
+  sheet.getRange(2, 1, rows.length, width).setValues(rows);
+  sheet.getRange(2, pickCol, rows.length, 2).insertCheckboxes();
+  sheet.setFrozenRows(1);
+
+  const body    = sheet.getRange(2, 1, rows.length, width);
+  const pickRef = "$" + columnLetter(pickCol) + "2";
+  const dnpRef  = "$" + columnLetter(dnpCol) + "2";
+  sheet.setConditionalFormatRules([
+    SpreadsheetApp.newConditionalFormatRule()
+      .whenFormulaSatisfied("=" + pickRef + "=TRUE")
+      .setFontColor("#AAAAAA")
+      .setStrikethrough(true)
+      .setRanges([body])
+      .build(),
+    SpreadsheetApp.newConditionalFormatRule()
+      .whenFormulaSatisfied("=" + dnpRef + "=TRUE")
+      .setBackground("#F4CCCC")
+      .setRanges([body])
+      .build()
+  ]);
+
+  sheet.getRange(1, 1, rows.length + 1, width).createFilter();
+  sheet.autoResizeColumns(1, width);
+}
+
@@ -0,0 +1,226 @@
+// ============================================================
+// UPCOMING MATCHES — our own match predictions.
+//
+// For every match TEAM_NUMBER plays at EVENT_KEY:
+//   • Predicted score = sum of each robot's auto + teleop +
+//     endgame EPA (team_event, falling back to team_year)
+//   • Win probability = 1 / (1 + 10^(-5/8 · margin / σ)),
+//     σ = std dev of alliance scores at the event so far
+//   • Statbotics' own pred values side by side
+//
+// Our matches' predictions are frozen once played, so "Our
+// matches" accuracy compares what we said BEFORE each match with
+// what happened. Event-wide accuracy uses current EPA, so it runs
+// a little optimistic.
+// ============================================================
+
+const UPCOMING_SHEET = "Upcoming Matches";
+const UPCOMING_FIRST_ROW = 6;   // rows 1–4 = title + accuracy summary, 5 = header
+
+const UPCOMING_HEADERS = [
+  "Match", "Status", "Our Color", "Red Alliance", "Blue Alliance",
+  "Pred Red", "Pred Blue", "Our Win %",
+  "SB Pred Red", "SB Pred Blue", "SB Our Win %",
+  "Actual Red", "Actual Blue", "Result", "Ours ✓", "SB ✓"
+];
+
+
+function buildUpcomingMatches() {
+  const cfg = requireConfig(["TEAM_NUMBER", "EVENT_KEY", "CURRENT_YEAR"]);
+  if (!cfg.TEAM_NUMBER || !cfg.EVENT_KEY) {
+    throw new Error("Set TEAM_NUMBER and EVENT_KEY on the Config tab first.");
+  }
+
+  const matches = fetchEventMatches(cfg.EVENT_KEY);
+  if (!matches.length) {
+    throw new Error("No matches for " + cfg.EVENT_KEY + " on Statbotics yet — has the schedule been posted?");
+  }
+
+  const model    = buildPredictionModel(cfg.EVENT_KEY, matches, cfg.CURRENT_YEAR);
+  const frozen   = readFrozenPredictions();
+  const us       = cfg.TEAM_NUMBER;
+  const ourRows  = [];
+  const eventAcc = { ours: [], sb: [], oursErr: [], sbErr: [] };
+  const ourAcc   = { ours: [], sb: [], oursErr: [], sbErr: [] };
+
+  matches
+    .slice()
+    .sort((a, b) => matchSortKey(a) - matchSortKey(b))
+    .forEach(m => {
+      const red  = m.alliances?.red?.team_keys  || [];
+      const blue = m.alliances?.blue?.team_keys || [];
+      const label = matchLabel(m);
+      const done  = isMatchCompleted(m);
+
+      // Frozen prediction if we made one before the match was played
+      const pred = (done && frozen[label]) || model.predict(red, blue);
+
+      const sbRed  = m.pred?.red_score    ?? "";
+      const sbBlue = m.pred?.blue_score   ?? "";
+      const sbProb = m.pred?.red_win_prob ?? null;
+
+      const actRed  = done ? m.result.red_score  : "";
+      const actBlue = done ? m.result.blue_score : "";
+      const winner  = done ? (m.result.winner || (actRed > actBlue ? "red" : actBlue > actRed ? "blue" : "tie")) : "";
+
+      const oursOk = done && winner !== "tie" ? (pred.redProb >= 0.5) === (winner === "red") : "";
+      const sbOk   = done && winner !== "tie" && sbProb !== null ? (sbProb >= 0.5) === (winner === "red") : "";
+
+      if (done) {
+        const accs = [eventAcc];
+        if (red.includes(us) || blue.includes(us)) accs.push(ourAcc);
+        accs.forEach(acc => {
+          if (oursOk !== "") acc.ours.push(oursOk);
+          if (sbOk   !== "") acc.sb.push(sbOk);
+          acc.oursErr.push(Math.abs(pred.red - actRed), Math.abs(pred.blue - actBlue));
+          if (sbRed !== "") acc.sbErr.push(Math.abs(sbRed - actRed), Math.abs(sbBlue - actBlue));
+        });
+      }
+
+      if (!red.includes(us) && !blue.includes(us)) return;
+
+      const isRed = red.includes(us);
+      const pct   = p => p === null || p === undefined ? "" : Math.round((isRed ? p : 1 - p) * 1000) / 10;
+
+      ourRows.push([
+        label, done ? "Done" : "Upcoming", isRed ? "Red" : "Blue",
+        red.join(", "), blue.join(", "),
+        pred.red, pred.blue, pct(pred.redProb),
+        sbRed, sbBlue, pct(sbProb),
+        actRed, actBlue,
+        done ? (winner === "tie" ? "Tie" : (winner === "red") === isRed ? "Win" : "Loss") : "",
+        oursOk === "" ? "" : (oursOk ? "✓" : "✗"),
+        sbOk   === "" ? "" : (sbOk   ? "✓" : "✗")
+      ]);
+    });
+
+  writeUpcomingMatches(cfg, ourRows, eventAcc, ourAcc, model);
+  SpreadsheetApp.flush();
+  Logger.log("Upcoming Matches built: " + ourRows.length + " match(es) for " + us);
+}
+
+
+// ============================================================
+// EPA-sum prediction model for one event.
+// Returns { sigma, predict(redTeams, blueTeams) → { red, blue, redProb } }.
+// ============================================================
+function buildPredictionModel(eventKey, matches, year) {
+  const teamEvents = fetchEventTeamEpas(eventKey);
+
+  const allTeams = new Set();
+  matches.forEach(m => {
+    (m.alliances?.red?.team_keys  || []).forEach(t => allTeams.add(t));
+    (m.alliances?.blue?.team_keys || []).forEach(t => allTeams.add(t));
+  });
+
+  const missing  = [...allTeams].filter(t => !teamEvents[t]);
+  const teamYear = fetchTeamYears(missing, year);
+
+  // Per-robot expected points: auto + teleop + endgame, else total
+  const robotPts = {};
+  allTeams.forEach(t => {
+    const b = epaBreakdown(teamEvents[t] || teamYear[t]);
+    const parts = [b.auto, b.teleop, b.endgame].filter(v => v !== null);
+    robotPts[t] = parts.length === 3 ? parts[0] + parts[1] + parts[2] : (b.total ?? 0);
+  });
+
+  // σ from alliance scores already played; fallback ~40% of the mean prediction
+  const scores = [];
+  matches.forEach(m => {
+    if (!isMatchCompleted(m)) return;
+    scores.push(m.result.red_score, m.result.blue_score);
+  });
+
+  let sigma;
+  if (scores.length >= 10) {
+    const mean = scores.reduce((s, v) => s + v, 0) / scores.length;
+    sigma = Math.sqrt(scores.reduce((s, v) => s + (v - mean) ** 2, 0) / scores.length);
+  } else {
+    const pts = Object.values(robotPts);
+    sigma = pts.length ? 0.4 * 3 * pts.reduce((s, v) => s + v, 0) / pts.length : 1;
+  }
+  sigma = Math.max(sigma, 1);
+
+  const sum = teams => teams.reduce((s, t) => s + (robotPts[t] || 0), 0);
+
+  return {
+    sigma,
+    predict(red, blue) {
+      const r = sum(red);
+      const b = sum(blue);
+      return {
+        red:     Math.round(r * 10) / 10,
+        blue:    Math.round(b * 10) / 10,
+        redProb: 1 / (1 + Math.pow(10, -5 / 8 * (r - b) / sigma))
+      };
+    }
+  };
+}
+
+
+// ── UTILITIES ────────────────────────────────────────────────────────────────
+
+function isMatchCompleted(m) {
+  return !!(m.result && m.result.red_score !== null && m.result.red_score !== undefined &&
+            (m.status === undefined || m.status === "Completed"));
+}
+
+
+/**
+ * Reads predictions already on the tab → { label: { red, blue, redProb } }.
+ */
+function readFrozenPredictions() {
+  const sheet = SpreadsheetApp.getActive().getSheetByName(UPCOMING_SHEET);
+  const out   = {};
+  if (!sheet || sheet.getLastRow() < UPCOMING_FIRST_ROW) return out;
+
+  const rows = sheet
+    .getRange(UPCOMING_FIRST_ROW, 1, sheet.getLastRow() - UPCOMING_FIRST_ROW + 1, UPCOMING_HEADERS.length)
+    .getValues();
+
+  rows.forEach(r => {
+    const [label, , color, , , red, blue, ourPct] = r;
+    if (!label || red === "" || blue === "" || ourPct === "") return;
+
+    const p = Number(ourPct) / 100;
+    out[label] = { red: Number(red), blue: Number(blue), redProb: color === "Red" ? p : 1 - p };
+  });
+  return out;
+}
+
+
+function writeUpcomingMatches(cfg, rows, eventAcc, ourAcc, model) {
+  const ss  = SpreadsheetApp.getActive();
+  let sheet = ss.getSheetByName(UPCOMING_SHEET);
+  if (!sheet) sheet = ss.insertSheet(UPCOMING_SHEET);
+  sheet.clear();
+
+  const pct = arr => arr.length ? Math.round(arr.filter(x => x).length / arr.length * 1000) / 10 + "%" : "—";
+  const mae = arr => arr.length ? Math.round(arr.reduce((s, v) => s + v, 0) / arr.length * 10) / 10 : "—";
+
+  sheet.getRange(1, 1)
+    .setValue(`UPCOMING MATCHES — ${cfg.TEAM_NUMBER} @ ${cfg.EVENT_KEY} (σ = ${Math.round(model.sigma * 10) / 10})`)
+    .setFontWeight("bold");
+  sheet.getRange(2, 1, 3, 5).setValues([
+    ["Accuracy",     "Our winner pick", "SB winner pick", "Our score MAE", "SB score MAE"],
+    ["Event-wide",   pct(eventAcc.ours), pct(eventAcc.sb), mae(eventAcc.oursErr), mae(eventAcc.sbErr)],
+    ["Our matches",  pct(ourAcc.ours),   pct(ourAcc.sb),   mae(ourAcc.oursErr),   mae(ourAcc.sbErr)]
+  ]);
+  sheet.getRange(2, 1, 1, 5).setFontWeight("bold");
+
+  sheet.getRange(UPCOMING_FIRST_ROW - 1, 1, 1, UPCOMING_HEADERS.length)
+    .setValues([UPCOMING_HEADERS])
+    .setFontWeight("bold");
+
+  if (!rows.length) {
+    sheet.getRange(UPCOMING_FIRST_ROW, 1).setValue(`${cfg.TEAM_NUMBER} has no matches in the ${cfg.EVENT_KEY} schedule yet.`);
+    return;
+  }
+
+  sheet.getRange(UPCOMING_FIRST_ROW, 1, rows.length, UPCOMING_HEADERS.length).setValues(rows);
+  rows.forEach((r, i) => {
+    if (r[1] === "Upcoming") sheet.getRange(UPCOMING_FIRST_ROW + i, 1, 1, 3).setFontWeight("bold");
+  });
+  sheet.setFrozenRows(UPCOMING_FIRST_ROW - 1);
+  sheet.autoResizeColumns(1, UPCOMING_HEADERS.length);
+}
@@ -0,0 +1,327 @@
+// ============================================================
+// SA PUSH AUDIT + ROLLBACK
+//
+// Every SA push run gets a run id (SA-yyyyMMdd-HHmmss-SSS). Each row
+// it pastes gets a push id — "<run id>#<source row>" — written
+// in three places:
+//   • the SA_PASTED tracking cell on SA_DATA_MASTER
+//   • the "Push ID" column of the team tab's SCOUTING NOTES row
+//   • one row on the "SA Push Log" tab (newest first), with the
+//     source row, team tab, tab row and time
+//
+// Roll Back Last SA Push / Roll Back SA Push Run… delete exactly
+// the rows a run pasted (found by push id, so rows that moved
+// since are still found) and clear their tracking marks, so the
+// next push pastes them again.
+//
+// Force Re-paste removes each row's earlier paste first — by
+// push id, or for rows pasted before push ids existed, by
+// matching the row's values — so nothing is duplicated.
+// ============================================================
+
+const PUSH_AUDIT_SHEET = "SA Push Log";
+const PUSH_AUDIT_MAX   = 10000;   // rows kept, newest first
+
+const PUSH_AUDIT_HEADERS = [
+  "Run ID", "Push ID", "Source Row", "Team Tab", "Tab Row", "Pasted At", "Status", "Status Changed"
+];
+
+
+// Menu: Roll Back Last SA Push
+function rollbackLastSAPush() {
+  const ui   = SpreadsheetApp.getUi();
+  const runs = listPushRuns();
+  if (!runs.length) {
+    ui.alert("No SA push to roll back.");
+    return;
+  }
+
+  const run = runs[0];
+  const ok  = ui.alert(
+    "Roll back SA push",
+    `Remove the ${run.rows} row(s) pasted by ${run.runId} (${run.teams} team tab(s)) and clear their tracking marks?`,
+    ui.ButtonSet.YES_NO
+  );
+  if (ok !== ui.Button.YES) return;
+
+  ui.alert(rollbackSAPush(run.runId));
+}
+
+
+// Menu: Roll Back SA Push Run…
+function rollbackSAPushPrompt() {
+  const ui   = SpreadsheetApp.getUi();
+  const runs = listPushRuns();
+  if (!runs.length) {
+    ui.alert("No SA push to roll back.");
+    return;
+  }
+
+  const res = ui.prompt(
+    "Roll back SA push",
+    "Run ID to roll back (see the \"" + PUSH_AUDIT_SHEET + "\" tab). Recent runs:\n" +
+      runs.slice(0, 10).map(r => `  ${r.runId} — ${r.rows} row(s), ${r.teams} tab(s)`).join("\n"),
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (res.getSelectedButton() !== ui.Button.OK) return;
+
+  const runId = res.getResponseText().trim();
+  if (!runId) return;
+  ui.alert(rollbackSAPush(runId));
+}
+
+
+/**
+ * Deletes the rows `runId` pasted and clears their tracking marks.
+ * Returns the summary text.
+ */
+function rollbackSAPush(runId) {
+  const cfg   = requireConfig(["SA_SOURCE_SHEET"]);
+  const ss    = SpreadsheetApp.getActive();
+  const audit = readPushAudit().filter(a => a.runId === runId && a.status === "pasted");
+  if (!audit.length) return `Nothing to roll back for "${runId}" — unknown run, or already rolled back.`;
+
+  // Team tab rows
+  const byTab = {};
+  audit.forEach(a => {
+    if (!byTab[a.tab]) byTab[a.tab] = new Set();
+    byTab[a.tab].add(a.pushId);
+  });
+
+  let removed = 0;
+  const log = [];
+  Object.keys(byTab).forEach(tab => {
+    const sheet = ss.getSheetByName(tab);
+    const n     = sheet ? deletePastedRows(sheet, byTab[tab], []) : 0;
+    removed += n;
+    if (n < byTab[tab].size) log.push(`⚠️  ${tab}: ${byTab[tab].size - n} row(s) not found (deleted by hand?)`);
+  });
+
+  // Tracking marks
+  const ids     = new Set(audit.map(a => a.pushId));
+  const cleared = clearTrackingMarks(ss.getSheetByName(cfg.SA_SOURCE_SHEET), ids);
+
+  markPushAudit(ids, "rolled back");
+  SpreadsheetApp.flush();
+
+  const summary = [
+    `Done! Rolled back ${runId}.`,
+    `  • ${removed} of ${audit.length} pasted row(s) removed from ${Object.keys(byTab).length} team tab(s)`,
+    `  • ${cleared} tracking mark(s) cleared — the next push pastes those rows again`,
+    log.length ? "\nDetails (last 20):\n" + log.slice(-20).join("\n") : ""
+  ].filter(l => l).join("\n");
+
+  Logger.log(summary);
+  return summary;
+}
+
+
+/**
+ * Force re-paste, step 1: removes the earlier paste of every tracked
+ * SA_DATA_MASTER row and clears the marks. Returns { removed, tracked }.
+ */
+function removeEarlierPastes(src, trackingColIndex) {
+  const cfg     = getConfig();
+  const ss      = SpreadsheetApp.getActive();
+  const lastRow = src.getLastRow();
+  if (lastRow < 2) return { removed: 0, tracked: 0 };
+
+  const data      = src.getRange(2, 1, lastRow - 1, trackingColIndex).getValues();
+  const saHeaders = readSAHeaders(src);
+  const teamCol   = resolveColumn(cfg.SA_TEAM_COLUMN);
+  const tabOf     = {};
+  readPushAudit().forEach(a => { if (!tabOf[a.pushId]) tabOf[a.pushId] = a.tab; });
+
+  // tab → { ids, legacy }
+  const byTab = {};
+  const ids   = new Set();
+  let tracked = 0;
+
+  data.forEach(row => {
+    const mark = row[trackingColIndex - 1];
+    if (mark === "" || mark === null || mark === false) return;
+    tracked++;
+
+    const tab = tabOf[mark] || String(Number(row[teamCol - 1]));
+    if (!byTab[tab]) byTab[tab] = { ids: new Set(), legacy: [] };
+
+    if (isPushId(mark)) {
+      byTab[tab].ids.add(mark);
+      ids.add(mark);
+    } else {
+      byTab[tab].legacy.push({ values: row.slice(0, trackingColIndex - 1), headers: saHeaders });
+    }
+  });
+
+  let removed = 0;
+  Object.keys(byTab).forEach(tab => {
+    const sheet = ss.getSheetByName(tab);
+    if (sheet) removed += deletePastedRows(sheet, byTab[tab].ids, byTab[tab].legacy);
+  });
+
+  src.getRange(2, trackingColIndex, lastRow - 1, 1).clearContent();
+  markPushAudit(ids, "replaced");
+  return { removed, tracked };
+}
+
+
+// ── UTILITIES ────────────────────────────────────────────────────────────────
+
+// New run id, e.g. "SA-20260314-101502-347". Milliseconds, so a manual
+// push and an auto-refresh push in the same second don't share one.
+function newPushRunId() {
+  return "SA-" + Utilities.formatDate(new Date(), Session.getScriptTimeZone(), "yyyyMMdd-HHmmss-SSS");
+}
+
+
+function isPushId(value) {
+  return /^SA-.+#\d+$/.test(String(value));
+}
+
+
+/**
+ * Adds audit rows ([runId, pushId, sourceRow, tab, tabRow, time]) to the
+ * top of the SA Push Log tab.
+ */
+function writePushAudit(rows) {
+  if (!rows.length) return;
+
+  const sheet = getOrCreatePushAuditSheet();
+  sheet.insertRowsAfter(1, rows.length);
+  sheet.getRange(2, 1, rows.length, PUSH_AUDIT_HEADERS.length)
+    .setValues(rows.map(r => r.concat(["pasted", ""])))
+    .setFontWeight("normal");
+
+  const extra = sheet.getLastRow() - 1 - PUSH_AUDIT_MAX;
+  if (extra > 0) sheet.deleteRows(PUSH_AUDIT_MAX + 2, extra);
+}
+
+
+/**
+ * Every audit row as { row, runId, pushId, sourceRow, tab, tabRow, status }.
+ */
+function readPushAudit() {
+  const sheet = SpreadsheetApp.getActive().getSheetByName(PUSH_AUDIT_SHEET);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, PUSH_AUDIT_HEADERS.length).getValues()
+    .map((r, i) => ({
+      row: i + 2, runId: String(r[0]), pushId: String(r[1]), sourceRow: r[2],
+      tab: String(r[3]), tabRow: r[4], status: r[6]
+    }))
+    .filter(a => a.runId);
+}
+
+
+/**
+ * Runs that still have pasted rows, newest first:
+ * [{ runId, rows, teams }].
+ */
+function listPushRuns() {
+  const runs = {};
+  const order = [];
+  readPushAudit()
+    .filter(a => a.status === "pasted")
+    .forEach(a => {
+      if (!runs[a.runId]) {
+        runs[a.runId] = { runId: a.runId, rows: 0, tabs: new Set() };
+        order.push(a.runId);
+      }
+      runs[a.runId].rows++;
+      runs[a.runId].tabs.add(a.tab);
+    });
+  return order.map(id => ({ runId: id, rows: runs[id].rows, teams: runs[id].tabs.size }));
+}
+
+
+// Sets Status on still-"pasted" audit rows whose push id is in `pushIds`.
+function markPushAudit(pushIds, status) {
+  const sheet = SpreadsheetApp.getActive().getSheetByName(PUSH_AUDIT_SHEET);
+  if (!sheet || !pushIds.size || sheet.getLastRow() < 2) return;
+
+  const range = sheet.getRange(2, 2, sheet.getLastRow() - 1, PUSH_AUDIT_HEADERS.length - 1);
+  const data  = range.getValues();
+  const now   = new Date();
+  let changed = false;
+
+  data.forEach(r => {
+    if (pushIds.has(String(r[0])) && r[5] === "pasted") {
+      r[5] = status;
+      r[6] = now;
+      changed = true;
+    }
+  });
+  if (changed) range.setValues(data);
+}
+
+
+/**
+ * Deletes SCOUTING NOTES rows whose Push ID is in `pushIds`, plus — for
+ * rows pasted before push ids — one row per entry of `legacy`
+ * ({ values, headers }) whose values match. Returns rows deleted.
+ */
+function deletePastedRows(sheet, pushIds, legacy) {
+  if (!findSectionRow(sheet, NOTES_SECTION_TITLE)) return 0;
+
+  const section = ensureSection(sheet, NOTES_SECTION_TITLE, []);
+  const rows    = getSectionRows(sheet, section);
+  const idCol   = section.headers.indexOf(SA_PUSH_ID_HEADER);
+  const same    = row => JSON.stringify(row.map(cellKey));
+
+  const wanted = {};
+  legacy.forEach(l => {
+    const k = same(alignToHeaders(l.values, l.headers, section.headers).map((v, i) => i === idCol ? "" : v));
+    wanted[k] = (wanted[k] || 0) + 1;
+  });
+
+  const doomed = [];
+  rows.values.forEach((row, i) => {
+    if (idCol >= 0 && pushIds.has(String(row[idCol]))) {
+      doomed.push(i);
+      return;
+    }
+    const k = same(row);
+    if (wanted[k]) {
+      wanted[k]--;
+      doomed.push(i);
+    }
+  });
+
+  // Bottom up, so earlier row numbers stay valid
+  doomed.reverse().forEach(i => sheet.deleteRow(rows.firstRow + i));
+  return doomed.length;
+}
+
+
+// Clears tracking cells on SA_DATA_MASTER holding one of `pushIds`.
+function clearTrackingMarks(src, pushIds) {
+  if (!src || src.getLastRow() < 2) return 0;
+
+  const trackingColIndex = getOrCreateTrackingColumn(src, src.getLastColumn());
+  const range = src.getRange(2, trackingColIndex, src.getLastRow() - 1, 1);
+  const marks = range.getValues();
+  let cleared = 0;
+
+  marks.forEach(r => {
+    if (pushIds.has(String(r[0]))) {
+      r[0] = "";
+      cleared++;
+    }
+  });
+  if (cleared) range.setValues(marks);
+  return cleared;
+}
+
+
+function getOrCreatePushAuditSheet() {
+  const ss  = SpreadsheetApp.getActive();
+  let sheet = ss.getSheetByName(PUSH_AUDIT_SHEET);
+  if (!sheet) {
+    sheet = ss.insertSheet(PUSH_AUDIT_SHEET);
+    sheet.getRange(1, 1, 1, PUSH_AUDIT_HEADERS.length)
+      .setValues([PUSH_AUDIT_HEADERS])
+      .setFontWeight("bold");
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
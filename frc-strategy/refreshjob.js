@@ -0,0 +1,313 @@
+// ============================================================
+// BATCHED REFRESH JOBS
+//
+// Apps Script stops any run at 6 minutes. createMaster… and
+// refreshStatboticsStats hand their team list to a job instead:
+//   • teams are processed in batches of REFRESH_BATCH_SIZE
+//     (Config), stopping early if the run is near the limit;
+//     API retries stop at the same point (httpDeadline, http.js)
+//   • the cursor is saved to Script Properties after EVERY team,
+//     so nothing is redone or skipped if a run gets cut off
+//   • if teams remain, a one-off time trigger continues the job
+//     a minute later, until the list is done
+//   • progress and errors are shown on the "Refresh Status" tab,
+//     with every API request that failed after retries (http.js)
+//     listed in a note on its "Failed Requests" cell
+//
+// Starting a new job replaces one that's still in progress. A
+// job whose execution died anyway shows as stale (isJobStale)
+// after JOB_STALE_MS; auto refresh then starts a new one.
+// ============================================================
+
+const JOB_PROP            = "BATCH_JOB";
+const JOB_HANDLER         = "continueBatchedJob";
+const JOB_TIME_BUDGET_MS  = 4.5 * 60 * 1000;   // leave headroom under 6 min
+const JOB_CONTINUE_MS     = 60 * 1000;
+const JOB_STALE_MS        = 10 * 60 * 1000;    // "running" but untouched this long = died mid-run
+const JOB_LOCK_WAIT_MS    = 30 * 1000;         // startBatchedJob waiting for a running batch
+const REFRESH_STATUS_SHEET = "Refresh Status";
+const JOB_HTTP_LOG_MAX    = 15;    // failed requests kept per job, each cut to
+const JOB_HTTP_LOG_CHARS  = 80;    // this — the job must fit one 9 KB Script Property
+
+const REFRESH_STATUS_HEADERS = [
+  "Job ID", "Job", "Status", "Done", "Total", "Last Team",
+  "Started", "Updated", "Runs", "Errors", "Last Error",
+  "Hand Edits Kept", "Backups", "Failed Requests", "Retries"
+];
+
+// type → how to process one team. prepare() runs once per execution.
+const BATCH_JOBS = {
+  setup: {
+    label:   "Build team tabs",
+    prepare: () => ({}),
+    runTeam: team => setupTeamTab(team)
+  },
+  refresh: {
+    label:   "Refresh Statbotics stats",
+    prepare: () => ({}),
+    runTeam: team => refreshTeamTab(team)
+  }
+};
+
+
+// ============================================================
+// Starts a job over `teams` and runs the first batch right away.
+// Returns the job state after that batch.
+//
+// The old job is replaced under the script lock runBatchedJob
+// holds, so a batch still running elsewhere can't save its job
+// back over the new one.
+// ============================================================
+function startBatchedJob(type, teams) {
+  if (!BATCH_JOBS[type]) throw new Error("Unknown batched job: " + type);
+
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(JOB_LOCK_WAIT_MS)) {
+    throw new Error(`A batched job is still running in another execution — try again in a minute (see "${REFRESH_STATUS_SHEET}").`);
+  }
+
+  try {
+    deleteJobTriggers();
+
+    const job = {
+      id:            type + "-" + Date.now(),
+      type,
+      teams,
+      cursor:        0,
+      status:        "running",
+      force:         apiCacheBypass,
+      started:       Date.now(),
+      updated:       Date.now(),
+      runs:          0,
+      errors:        0,
+      lastError:     "",
+      kept:          0,
+      backups:       0,
+      httpFailed:    0,      // API requests that failed after retries
+      httpRetries:   0,
+      tbaKeyInvalid: false,
+      httpLog:       []      // "Team 254: TBA /… → 503 …", last JOB_HTTP_LOG_MAX, each ≤ JOB_HTTP_LOG_CHARS
+    };
+    saveJob(job);
+    writeJobStatus(job);
+
+    return runJobBatch(job);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+
+// Time-trigger entry point.
+function continueBatchedJob() {
+  runBatchedJob();
+}
+
+
+// ============================================================
+// Menu: Cancel Batched Refresh — stops a job between batches.
+// ============================================================
+function cancelBatchedJob() {
+  deleteJobTriggers();
+  const job = loadJob();
+  if (job && job.status !== "done") {
+    job.status  = "cancelled";
+    job.updated = Date.now();
+    saveJob(job);
+    writeJobStatus(job);
+  }
+  SpreadsheetApp.getUi().alert(job ? `Job ${job.id} cancelled at ${job.cursor}/${job.teams.length}.` : "No job to cancel.");
+}
+
+
+/**
+ * Takes the script lock and runs the next batch of the saved job.
+ * If another execution holds the lock, the continuation is
+ * rescheduled rather than dropped — the cursor picks up from there.
+ */
+function runBatchedJob() {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(10 * 1000)) {
+    Logger.log("Batched job already running in another execution — trying again in a minute.");
+    const job = loadJob();
+    deleteJobTriggers();
+    if (job && job.status === "running") {
+      ScriptApp.newTrigger(JOB_HANDLER).timeBased().after(JOB_CONTINUE_MS).create();
+    }
+    return job;
+  }
+
+  try {
+    deleteJobTriggers();
+    return runJobBatch(loadJob());
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+
+/**
+ * Processes teams from the job's cursor until the batch size or time
+ * budget runs out, then either finishes or schedules a continuation.
+ * The caller holds the script lock.
+ */
+function runJobBatch(job) {
+  try {
+    if (!job || job.status !== "running") return job;
+
+    const handler = BATCH_JOBS[job.type];
+    const batch   = getConfig().REFRESH_BATCH_SIZE;
+    const t0      = Date.now();
+    const ctx     = handler.prepare();
+    let processed = 0;
+
+    apiCacheBypass = !!job.force;
+    httpDeadline   = t0 + JOB_TIME_BUDGET_MS;   // retries stop where the batch would
+    resetHttpReport();
+    job.runs++;
+
+    while (job.cursor < job.teams.length &&
+           processed < batch &&
+           Date.now() - t0 < JOB_TIME_BUDGET_MS) {
+      const team = job.teams[job.cursor];
+      const kept = ownedTally.kept, backups = ownedTally.backups;
+      const http = httpReportMark();
+      try {
+        handler.runTeam(team, ctx);
+      } catch (e) {
+        job.errors++;
+        job.lastError = "Team " + team + ": " + e.message;
+        Logger.log("Batched job " + job.id + " — " + job.lastError);
+      }
+      job.kept    = (job.kept    || 0) + ownedTally.kept    - kept;
+      job.backups = (job.backups || 0) + ownedTally.backups - backups;
+      collectHttpFailures(job, team, http);
+      job.cursor++;
+      job.lastTeam = team;
+      job.updated  = Date.now();
+      processed++;
+      saveJob(job);
+    }
+
+    if (job.cursor >= job.teams.length) {
+      job.status = "done";
+    } else {
+      ScriptApp.newTrigger(JOB_HANDLER).timeBased().after(JOB_CONTINUE_MS).create();
+    }
+
+    saveJob(job);
+    writeJobStatus(job);
+    SpreadsheetApp.flush();
+    return job;
+
+  } finally {
+    apiCacheBypass = false;
+    httpDeadline   = 0;
+  }
+}
+
+
+/**
+ * End-of-run text for a job: progress, team errors and failed requests.
+ */
+function batchedJobSummary(job) {
+  const label = BATCH_JOBS[job.type].label;
+  const log   = job.httpLog || [];
+  return [
+    job.status === "done"
+      ? `Done! ${label}: ${job.teams.length} team tab(s).`
+      : `${label}: ${job.cursor} of ${job.teams.length} team tab(s) so far — the rest continue in ~${JOB_CONTINUE_MS / 60000} min (see "${REFRESH_STATUS_SHEET}").`,
+    job.errors ? `  • ${job.errors} team(s) failed — last: ${job.lastError}` : "",
+    `  • ${job.httpFailed || 0} API request(s) failed after retries, ${job.httpRetries || 0} retried`,
+    job.tbaKeyInvalid ? "\n" + HTTP_TBA_KEY_MESSAGE : "",
+    log.length ? `\nDetails (last ${log.length}):\n` + log.join("\n") : ""
+  ].filter(l => l).join("\n");
+}
+
+
+// ── UTILITIES ────────────────────────────────────────────────────────────────
+
+/**
+ * Moves the requests that failed while `team` ran (httpReport entries
+ * since `mark`, an httpReportMark()) into the job.
+ */
+function collectHttpFailures(job, team, mark) {
+  const listed = httpReport.failures.slice(mark.listed);
+  const clip   = t => t.length > JOB_HTTP_LOG_CHARS ? t.slice(0, JOB_HTTP_LOG_CHARS - 1) + "…" : t;
+  job.httpFailed    = (job.httpFailed  || 0) + httpReport.failed  - mark.failed;
+  job.httpRetries   = (job.httpRetries || 0) + httpReport.retries - mark.retries;
+  job.tbaKeyInvalid = !!job.tbaKeyInvalid || httpReport.tbaKeyInvalid;
+  job.httpLog       = (job.httpLog || [])
+    .concat(listed.map(f => clip(`Team ${team}: ${describeHttpFailure(f)}`)))
+    .slice(-JOB_HTTP_LOG_MAX);
+}
+
+
+/**
+ * True for a job still marked running that hasn't saved progress in
+ * JOB_STALE_MS — its execution was killed before it could schedule
+ * the next batch, so nothing will ever continue it.
+ */
+function isJobStale(job) {
+  return !!job && job.status === "running" && Date.now() - (job.updated || 0) > JOB_STALE_MS;
+}
+
+
+function loadJob() {
+  const raw = PropertiesService.getScriptProperties().getProperty(JOB_PROP);
+  return raw ? JSON.parse(raw) : null;
+}
+
+
+function saveJob(job) {
+  PropertiesService.getScriptProperties().setProperty(JOB_PROP, JSON.stringify(job));
+}
+
+
+function deleteJobTriggers() {
+  ScriptApp.getProjectTriggers()
+    .filter(t => t.getHandlerFunction() === JOB_HANDLER)
+    .forEach(t => ScriptApp.deleteTrigger(t));
+}
+
+
+/**
+ * Writes (or updates) the job's row on the Refresh Status tab.
+ * Newest job first.
+ */
+function writeJobStatus(job) {
+  const ss  = SpreadsheetApp.getActive();
+  let sheet = ss.getSheetByName(REFRESH_STATUS_SHEET);
+  if (!sheet) {
+    sheet = ss.insertSheet(REFRESH_STATUS_SHEET);
+    sheet.setFrozenRows(1);
+  }
+  // Rewritten every time so older status tabs pick up new columns
+  sheet.getRange(1, 1, 1, REFRESH_STATUS_HEADERS.length)
+    .setValues([REFRESH_STATUS_HEADERS])
+    .setFontWeight("bold");
+
+  const status = job.status === "running"
+    ? `running — continues in ~${JOB_CONTINUE_MS / 60000} min`
+    : job.status;
+
+  const row = [
+    job.id, BATCH_JOBS[job.type].label, status,
+    job.cursor, job.teams.length, job.lastTeam || "",
+    new Date(job.started), new Date(job.updated), job.runs,
+    job.errors, job.lastError,
+    job.kept || 0, job.backups || 0,
+    job.httpFailed || 0, job.httpRetries || 0
+  ];
+
+  const lastRow = sheet.getLastRow();
+  const ids     = lastRow > 1 ? sheet.getRange(2, 1, lastRow - 1, 1).getValues().flat() : [];
+  const idx     = ids.indexOf(job.id);
+
+  const rowNum = idx >= 0 ? idx + 2 : 2;
+  if (idx < 0) sheet.insertRowsAfter(1, 1);
+  sheet.getRange(rowNum, 1, 1, row.length).setValues([row]).setFontWeight("normal");
+
+  const log = (job.tbaKeyInvalid ? [HTTP_TBA_KEY_MESSAGE] : []).concat(job.httpLog || []);
+  sheet.getRange(rowNum, REFRESH_STATUS_HEADERS.indexOf("Failed Requests") + 1).setNote(log.join("\n"));
+}
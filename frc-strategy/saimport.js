@@ -0,0 +1,360 @@
+// ============================================================
+// SA IMPORT — offline scouting data → SA_DATA_MASTER
+//
+// For events without Wi-Fi: scouts hand over CSV files, JSON
+// exports or QR-code strings. Paste them on the "SA Import" tab
+// (from row SA_IMPORT_FIRST_ROW down) and run Import to
+// SA_DATA_MASTER. Format (B2) is AUTO or one of:
+//   CSV    a header row, then one record per row
+//   JSON   an array of objects, or one object per row
+//   QR     one scan per row, no header — fields split by
+//          SA_QR_DELIMITER (Config), or already spread across
+//          cells by a scanner that types TAB
+// AUTO picks JSON for text starting with [ or {, CSV when the
+// first row names fields from the Import Schema, else QR.
+//
+// The "Import Schema" tab maps fields to SA_DATA_MASTER columns
+// (one row per SA column, created on first run):
+//   Source Field   name(s) in CSV / JSON, comma-separated
+//   QR Position    1-based field number in a QR scan — defaults to
+//                  column order when the tab is created; columns
+//                  added to SA_DATA_MASTER later get a row with it
+//                  blank, so existing QR scans keep matching
+// Both blank = that column is never filled by an import.
+//
+// Records without a valid team number, or with the wrong number
+// of fields, are rejected. Records whose Duplicate Key (SA Rules)
+// is already on SA_DATA_MASTER — or earlier in the same paste —
+// are skipped. The rest are appended with a blank SA_PASTED mark,
+// so the next SA push pastes them like any other row. Imported
+// rows leave the input tab; rejected ones stay, red, with a note.
+// ============================================================
+
+const SA_IMPORT_SHEET     = "SA Import";
+const SA_SCHEMA_SHEET     = "Import Schema";
+const SA_IMPORT_FIRST_ROW = 4;     // rows 1–2 = title + format, 3 = blank
+const SA_IMPORT_NOTE      = "❌ Import:";
+const SA_IMPORT_FORMATS   = ["AUTO", "CSV", "JSON", "QR"];
+
+const SA_SCHEMA_HEADERS = ["SA Column", "Source Field", "QR Position", "Notes"];
+
+
+// Menu: Open SA Import Tab
+function openSAImportSheet() {
+  const sheet = getOrCreateSAImportSheet();
+  SpreadsheetApp.getActive().setActiveSheet(sheet);
+}
+
+
+// Menu: Import to SA_DATA_MASTER
+function importSAData() {
+  SpreadsheetApp.getUi().alert(runSAImport().message);
+}
+
+
+/**
+ * Parses the SA Import tab, appends the good records to SA_DATA_MASTER
+ * and clears them from the input. Returns { added, duplicates, rejected, message }.
+ */
+function runSAImport() {
+  const cfg = requireConfig(["SA_SOURCE_SHEET", "SA_TEAM_COLUMN", "SA_QR_DELIMITER"]);
+  const ss  = SpreadsheetApp.getActive();
+  const src = ss.getSheetByName(cfg.SA_SOURCE_SHEET);
+  const result = (message, counts) => Object.assign({ added: 0, duplicates: 0, rejected: 0, message }, counts);
+
+  if (!src) return result(`❌ Sheet "${cfg.SA_SOURCE_SHEET}" not found.\n\nCreate that tab (with its header row) and try again.`);
+
+  const headers = readSAHeaders(src);
+  if (!headers.length) return result(`❌ ${cfg.SA_SOURCE_SHEET} has no header row.`);
+
+  const input = getOrCreateSAImportSheet();
+  const lines = readSAImportLines(input);
+  if (!lines.length) return result(`Nothing to import — paste CSV, JSON or QR scans on "${SA_IMPORT_SHEET}" from row ${SA_IMPORT_FIRST_ROW}.`);
+
+  const schema  = readImportSchema(headers);
+  const chosen  = String(input.getRange(2, 2).getValue()).trim().toUpperCase();
+  const format  = SA_IMPORT_FORMATS.includes(chosen) && chosen !== "AUTO" ? chosen : detectImportFormat(lines, schema);
+  const records = parseImportLines(format, lines, schema, cfg);
+
+  // Duplicate key from SA Rules; whole row when no columns are ticked
+  const rules   = readSARules(headers);
+  const teamIdx = resolveColumn(cfg.SA_TEAM_COLUMN) - 1;
+  const keyOf   = row => rules.dupCols.length ? saDuplicateKey(row, rules) : JSON.stringify(row.map(cellKey));
+  const seen    = new Set();
+  if (src.getLastRow() > 1) {
+    src.getRange(2, 1, src.getLastRow() - 1, headers.length).getValues().forEach(r => seen.add(keyOf(r)));
+  }
+
+  const toAdd    = [];
+  const rejected = {};   // input row → [problem]
+  let duplicates = 0;
+
+  records.forEach(rec => {
+    if (rec.error) {
+      (rejected[rec.line] = rejected[rec.line] || []).push(rec.error);
+      return;
+    }
+    const row  = headers.map(h => rec.values[h] === undefined ? "" : rec.values[h]);
+    const team = Number(row[teamIdx]);
+    if (!Number.isInteger(team) || team <= 0) {
+      (rejected[rec.line] = rejected[rec.line] || []).push(`${rec.label}"${row[teamIdx]}" is not a valid team number`);
+      return;
+    }
+    const key = keyOf(row);
+    if (key && seen.has(key)) {
+      duplicates++;
+      return;
+    }
+    seen.add(key);
+    toAdd.push(row);
+  });
+
+  if (toAdd.length) {
+    const first = findLastContentRow(src) + 1;
+    src.getRange(first, 1, toAdd.length, headers.length).setValues(toAdd);
+  }
+
+  markSAImportRejects(input, lines, rejected, format);
+  SpreadsheetApp.flush();
+
+  const rejectCount = Object.keys(rejected).reduce((s, k) => s + rejected[k].length, 0);
+  const message = [
+    `Done! ${records.length} record(s) read as ${format}.`,
+    `  • ${toAdd.length} appended to ${cfg.SA_SOURCE_SHEET}`,
+    `  • ${duplicates} skipped — already on ${cfg.SA_SOURCE_SHEET} or earlier in the paste (${rules.dupCols.length ? "same " + rules.dupCols.map(c => headers[c]).join(", ") : "identical row"})`,
+    `  • ${rejectCount} rejected — left on "${SA_IMPORT_SHEET}" in red, reason in the cell note`,
+    toAdd.length ? "\nRun Push SA_DATA_MASTER → Team Sheets to paste the new rows." : ""
+  ].filter(l => l).join("\n");
+
+  Logger.log(message);
+  return result(message, { added: toAdd.length, duplicates, rejected: rejectCount });
+}
+
+
+// ── PARSING ──────────────────────────────────────────────────────────────────
+
+/**
+ * The pasted input rows: [{ row, cells }] with trailing blank cells
+ * trimmed; blank rows are dropped.
+ */
+function readSAImportLines(sheet) {
+  const lastRow = sheet.getLastRow();
+  if (lastRow < SA_IMPORT_FIRST_ROW) return [];
+
+  const data = sheet
+    .getRange(SA_IMPORT_FIRST_ROW, 1, lastRow - SA_IMPORT_FIRST_ROW + 1, Math.max(sheet.getLastColumn(), 1))
+    .getDisplayValues();
+
+  return data
+    .map((cells, i) => ({ row: SA_IMPORT_FIRST_ROW + i, cells: trimTrailingBlanks(cells).map(c => String(c).trim()) }))
+    .filter(l => l.cells.some(c => c !== ""));
+}
+
+
+function detectImportFormat(lines, schema) {
+  const first = lines[0].cells;
+  if (first.length === 1 && /^[\[{]/.test(first[0])) return "JSON";
+
+  const fields = splitImportLine(first, ",");
+  const known  = fields.filter(f => schema.bySource[normalizeHeader(f)] !== undefined).length;
+  return known && known >= fields.length / 2 ? "CSV" : "QR";
+}
+
+
+/**
+ * Records as [{ line (input row), label, values: { saHeader: value } }],
+ * or { line, error } for ones that can't be read. label prefixes error
+ * text — "" for one record per row, "record 3: " inside a JSON document.
+ */
+function parseImportLines(format, lines, schema, cfg) {
+  if (format === "JSON") return parseImportJSON(lines, schema);
+
+  if (format === "CSV") {
+    const fields = splitImportLine(lines[0].cells, ",");
+    const target = fields.map(f => schema.bySource[normalizeHeader(f)]);
+    if (!target.some(h => h !== undefined)) {
+      return [{ line: lines[0].row, error: "header row — no field matches the Import Schema" }];
+    }
+
+    return lines.slice(1).map(l => {
+      const cells = splitImportLine(l.cells, ",");
+      if (cells.length !== fields.length) {
+        return { line: l.row, error: `${cells.length} field(s), header has ${fields.length}` };
+      }
+      const values = {};
+      target.forEach((h, i) => { if (h !== undefined) values[h] = importValue(cells[i]); });
+      return { line: l.row, label: "", values };
+    });
+  }
+
+  // QR
+  const raw   = String(cfg.SA_QR_DELIMITER);
+  const delim = raw.toUpperCase() === "TAB" ? "\t" : raw;
+  return lines.map(l => {
+    const cells = splitImportLine(l.cells, delim);
+    if (cells.length < schema.qrFields) {
+      return { line: l.row, error: `${cells.length} field(s), the schema expects ${schema.qrFields}` };
+    }
+    const values = {};
+    Object.keys(schema.byPosition).forEach(pos => {
+      values[schema.byPosition[pos]] = importValue(cells[pos - 1]);
+    });
+    return { line: l.row, label: "", values };
+  });
+}
+
+
+// JSON: the whole paste as one document, or one object per row.
+function parseImportJSON(lines, schema) {
+  const toRecord = (obj, line, label) => {
+    if (!obj || typeof obj !== "object" || Array.isArray(obj)) return { line, error: `${label}not a JSON object` };
+    const values = {};
+    Object.keys(obj).forEach(k => {
+      const h = schema.bySource[normalizeHeader(k)];
+      if (h !== undefined) values[h] = importValue(obj[k]);
+    });
+    return Object.keys(values).length
+      ? { line, label, values }
+      : { line, error: `${label}no field matches the Import Schema` };
+  };
+
+  const text = lines.map(l => l.cells.join("")).join("\n");
+  try {
+    const doc  = JSON.parse(text);
+    const list = Array.isArray(doc) ? doc : [doc];
+    return list.map((obj, i) => toRecord(obj, lines[0].row, `record ${i + 1}: `));
+  } catch (e) {
+    // Not one document — try one object per row
+  }
+
+  return lines.map(l => {
+    try {
+      return toRecord(JSON.parse(l.cells.join("")), l.row, "");
+    } catch (e) {
+      return { line: l.row, error: `not valid JSON (${e.message})` };
+    }
+  });
+}
+
+
+/**
+ * One input row's fields: the cells as they are when the paste already
+ * split them into columns, else column A split on `delim` (quotes honoured).
+ */
+function splitImportLine(cells, delim) {
+  if (cells.length > 1) return cells;
+  const text = cells[0] || "";
+  const sep  = delim === "," && !text.includes(",") && text.includes("\t") ? "\t" : delim;
+  return Utilities.parseCsv(text, sep)[0].map(c => String(c).trim());
+}
+
+
+// "12" → 12, "true" → TRUE; anything else as text.
+function importValue(v) {
+  if (v === null || v === undefined) return "";
+  if (typeof v === "number" || typeof v === "boolean") return v;
+  const s = String(v).trim();
+  if (s !== "" && !isNaN(Number(s))) return Number(s);
+  if (/^(true|false)$/i.test(s)) return s.toLowerCase() === "true";
+  return s;
+}
+
+
+// ── UTILITIES ────────────────────────────────────────────────────────────────
+
+/**
+ * Reads the Import Schema tab (creating it, or adding rows for new SA columns).
+ * Returns { bySource: { normalized field: saHeader }, byPosition: { n: saHeader }, qrFields }.
+ */
+function readImportSchema(headers) {
+  const ss    = SpreadsheetApp.getActive();
+  let sheet   = ss.getSheetByName(SA_SCHEMA_SHEET);
+  const fresh = !sheet;
+  if (fresh) {
+    sheet = ss.insertSheet(SA_SCHEMA_SHEET);
+    sheet.getRange(1, 1, 1, SA_SCHEMA_HEADERS.length)
+      .setValues([SA_SCHEMA_HEADERS])
+      .setFontWeight("bold");
+    sheet.setFrozenRows(1);
+  }
+
+  const lastRow = sheet.getLastRow();
+  const rows    = lastRow > 1 ? sheet.getRange(2, 1, lastRow - 1, SA_SCHEMA_HEADERS.length).getValues() : [];
+  const known   = new Set(rows.map(r => String(r[0]).trim()));
+
+  // New SA columns: matched by their own name. QR positions default to
+  // column order only on a new tab — a column added later would lengthen
+  // (or take over a position in) the layout the QR app already sends.
+  const missing = headers
+    .filter(h => !known.has(h))
+    .map(h => [h, h, fresh ? headers.indexOf(h) + 1 : "", fresh ? "" : "Added — set a QR Position if scans carry it"]);
+
+  if (missing.length) {
+    const first = Math.max(sheet.getLastRow(), 1) + 1;
+    sheet.getRange(first, 1, missing.length, SA_SCHEMA_HEADERS.length).setValues(missing);
+    sheet.autoResizeColumns(1, SA_SCHEMA_HEADERS.length);
+    rows.push(...missing);
+  }
+
+  const bySource   = {};
+  const byPosition = {};
+  rows.forEach(r => {
+    const h = String(r[0]).trim();
+    if (!h || !headers.includes(h)) return;
+    String(r[1]).split(",").map(normalizeHeader).filter(s => s).forEach(s => { bySource[s] = h; });
+    const pos = Number(r[2]);
+    if (String(r[2]).trim() !== "" && Number.isInteger(pos) && pos > 0) byPosition[pos] = h;
+  });
+
+  const positions = Object.keys(byPosition).map(Number);
+  return { bySource, byPosition, qrFields: positions.length ? Math.max(...positions) : 0 };
+}
+
+
+/**
+ * Clears imported (and skipped) rows off the input tab. Rejected rows
+ * stay, red with the reasons in a note; for CSV the header row stays
+ * with them.
+ */
+function markSAImportRejects(sheet, lines, rejected, format) {
+  const keep = new Set(Object.keys(rejected).map(Number));
+  if (format === "CSV" && keep.size) keep.add(lines[0].row);
+  if (format === "JSON" && keep.has(lines[0].row)) lines.forEach(l => keep.add(l.row));   // one document
+
+  const kept = lines.filter(l => keep.has(l.row));
+  const width = Math.max(sheet.getLastColumn(), 1);
+  sheet.getRange(SA_IMPORT_FIRST_ROW, 1, sheet.getLastRow() - SA_IMPORT_FIRST_ROW + 1, width)
+    .clearContent()
+    .clearNote()
+    .setBackground(null);
+  if (!kept.length) return;
+
+  kept.forEach((l, i) => {
+    const row  = SA_IMPORT_FIRST_ROW + i;
+    const cell = sheet.getRange(row, 1);
+    sheet.getRange(row, 1, 1, l.cells.length).setValues([l.cells]);
+    if (rejected[l.row]) {
+      cell.setNote(SA_IMPORT_NOTE + "\n• " + rejected[l.row].join("\n• "));
+      sheet.getRange(row, 1, 1, l.cells.length).setBackground(SA_FLAG_COLOR);
+    }
+  });
+}
+
+
+function getOrCreateSAImportSheet() {
+  const ss  = SpreadsheetApp.getActive();
+  let sheet = ss.getSheetByName(SA_IMPORT_SHEET);
+  if (!sheet) {
+    sheet = ss.insertSheet(SA_IMPORT_SHEET);
+    sheet.getRange(1, 1)
+      .setValue(`SA IMPORT — paste CSV, JSON or QR scans from row ${SA_IMPORT_FIRST_ROW}, then 🤖 Scouting Tools → Import to SA_DATA_MASTER`)
+      .setFontWeight("bold");
+    sheet.getRange(2, 1).setValue("Format").setFontWeight("bold");
+    sheet.getRange(2, 2)
+      .setValue("AUTO")
+      .setDataValidation(SpreadsheetApp.newDataValidation().requireValueInList(SA_IMPORT_FORMATS, true).build());
+    sheet.getRange(2, 3).setValue(`Field names come from the "${SA_SCHEMA_SHEET}" tab.`);
+    sheet.setFrozenRows(SA_IMPORT_FIRST_ROW - 1);
+  }
+  return sheet;
+}
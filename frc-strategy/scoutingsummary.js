@@ -0,0 +1,272 @@
+// ============================================================
+// SCOUTING SUMMARY — per-team aggregates of SA_DATA_MASTER.
+//
+// Column types come from the SA header row (readSAHeaders) and
+// the values under it:
+//   numeric       ≥ 80% of filled cells are numbers →
+//                 mean, median, max, std dev, last-3 average
+//   categorical   checkboxes, or text with at most
+//                 SUMMARY_MAX_CATEGORIES distinct values that
+//                 repeat (climb type, start position …) → counts
+// The team, match, scouter and event columns are never
+// aggregated; free-text notes fall in neither type.
+//
+// "Last 3" is the average of the team's three latest matches —
+// by match number when there's a match column, else sheet order.
+// With an event column, the latest event's matches come last
+// (events in the order they first appear on the sheet).
+//
+// Build Scouting Summary writes the "Scouting Summary" tab and a
+// SCOUTING SUMMARY section on every existing team tab. The pick
+// list's SA averages come from the same numbers.
+// ============================================================
+
+const SUMMARY_SHEET          = "Scouting Summary";
+const SUMMARY_SECTION_TITLE  = "SCOUTING SUMMARY";
+const SUMMARY_MAX_CATEGORIES = 10;
+
+const SUMMARY_SECTION_HEADERS = ["Metric", "Mean", "Median", "Max", "Std Dev", "Last 3", "Counts"];
+const SUMMARY_STATS = [
+  { key: "mean",   label: "Mean" },
+  { key: "median", label: "Median" },
+  { key: "max",    label: "Max" },
+  { key: "sd",     label: "SD" },
+  { key: "last3",  label: "Last 3" }
+];
+
+
+// ============================================================
+// Menu: Build Scouting Summary
+// ============================================================
+function buildScoutingSummary() {
+  requireConfig(["SA_SOURCE_SHEET", "SA_TEAM_COLUMN"]);
+
+  const agg   = aggregateSAData();
+  const teams = Object.keys(agg.byTeam).map(Number).sort((a, b) => a - b);
+  if (!teams.length) {
+    SpreadsheetApp.getUi().alert(`No scouting rows with a team number in ${getConfig().SA_SOURCE_SHEET} yet.`);
+    return;
+  }
+
+  writeSummarySheet(agg, teams);
+
+  const ss = SpreadsheetApp.getActive();
+  let tabs = 0;
+  teams.forEach(team => {
+    const sheet = ss.getSheetByName(String(team));
+    if (!sheet) return;
+    writeSummarySection(sheet, agg, team);
+    tabs++;
+  });
+
+  SpreadsheetApp.flush();
+  const summary = [
+    `Done! ${teams.length} team(s) summarized.`,
+    `  • ${agg.numeric.length} numeric column(s): ${agg.numeric.join(", ") || "—"}`,
+    `  • ${agg.categorical.length} categorical column(s): ${agg.categorical.join(", ") || "—"}`,
+    `  • ${SUMMARY_SECTION_TITLE} written on ${tabs} team tab(s)`
+  ].join("\n");
+
+  Logger.log(summary);
+  SpreadsheetApp.getUi().alert(summary);
+}
+
+
+// ============================================================
+// The aggregation engine.
+// Returns {
+//   numeric: [header], categorical: [header],
+//   byTeam: { team: { rows, stats: { header: { mean, median, max,
+//             sd, last3, n } }, counts: { header: { value: n } } } }
+// }
+// ============================================================
+function aggregateSAData() {
+  const cfg = getConfig();
+  const src = SpreadsheetApp.getActive().getSheetByName(cfg.SA_SOURCE_SHEET);
+  const out = { numeric: [], categorical: [], byTeam: {} };
+  if (!src || src.getLastRow() < 2) return out;
+
+  const headers = readSAHeaders(src);
+  if (!headers.length) return out;
+
+  const data     = src.getRange(2, 1, src.getLastRow() - 1, headers.length).getValues();
+  const teamIdx  = resolveColumn(cfg.SA_TEAM_COLUMN) - 1;
+  const matchIdx = findHeaderIndex(headers, MD_MATCH_HEADERS);
+  const eventIdx = findHeaderIndex(headers, MD_EVENT_HEADERS);
+  const skip     = [teamIdx, matchIdx,
+                    findHeaderIndex(headers, MD_SCOUTER_HEADERS),
+                    eventIdx];
+
+  const types   = headers.map((_, c) => skip.includes(c) ? null : inferSAColumnType(data.map(r => r[c])));
+  const numCols = headers.map((_, c) => c).filter(c => types[c] === "numeric");
+  const catCols = headers.map((_, c) => c).filter(c => types[c] === "categorical");
+  out.numeric     = numCols.map(c => headers[c]);
+  out.categorical = catCols.map(c => headers[c]);
+
+  // Rows per team, oldest match first: events in the order they first
+  // appear in SA_DATA_MASTER (rows are appended as events happen), then
+  // by match number within an event
+  const eventRank = {};
+  if (eventIdx >= 0) {
+    data.forEach(row => {
+      const ev = String(row[eventIdx]).trim().toLowerCase();
+      if (!(ev in eventRank)) eventRank[ev] = Object.keys(eventRank).length;
+    });
+  }
+  const rowsByTeam = {};
+  data.forEach((row, i) => {
+    const team = Number(row[teamIdx]);
+    if (!Number.isInteger(team) || team <= 0) return;
+    (rowsByTeam[team] = rowsByTeam[team] || []).push({ row, order: i });
+  });
+
+  const eventNum = r => eventIdx >= 0 ? eventRank[String(r.row[eventIdx]).trim().toLowerCase()] : 0;
+  const matchNum = r => {
+    const n = Number(normalizeMatchKey(r.row[matchIdx]));
+    return isNaN(n) ? Infinity : n;
+  };
+
+  Object.keys(rowsByTeam).forEach(team => {
+    const rows = rowsByTeam[team];
+    if (matchIdx >= 0) rows.sort((a, b) => eventNum(a) - eventNum(b) || matchNum(a) - matchNum(b) || a.order - b.order);
+
+    const entry = { rows: rows.length, stats: {}, counts: {} };
+
+    numCols.forEach(c => {
+      const vals = rows.map(r => r.row[c])
+        .filter(v => v !== "" && v !== null && typeof v !== "boolean" && !(v instanceof Date) && !isNaN(Number(v)))
+        .map(Number);
+      entry.stats[headers[c]] = describeNumbers(vals);
+    });
+
+    catCols.forEach(c => {
+      const counts = {};
+      rows.forEach(r => {
+        const v = r.row[c];
+        if (v === "" || v === null) return;
+        const k = String(v).trim();
+        counts[k] = (counts[k] || 0) + 1;
+      });
+      entry.counts[headers[c]] = counts;
+    });
+
+    out.byTeam[team] = entry;
+  });
+
+  return out;
+}
+
+
+// ── UTILITIES ────────────────────────────────────────────────────────────────
+
+/**
+ * "numeric", "categorical" or null (empty, free text, or mostly
+ * timestamps) for one column. Number(date) and Number(true) are numbers
+ * too, so Dates and booleans never count as numeric.
+ */
+function inferSAColumnType(values) {
+  const filled = values.filter(v => v !== "" && v !== null && v !== undefined);
+  if (!filled.length) return null;
+
+  if (filled.every(v => typeof v === "boolean")) return "categorical";
+  if (filled.filter(v => v instanceof Date).length * 2 >= filled.length) return null;
+
+  const nums = filled.filter(v => typeof v === "number" ||
+    (typeof v === "string" && v.trim() !== "" && !isNaN(Number(v))));
+  if (nums.length / filled.length >= 0.8) return "numeric";
+
+  const distinct = new Set(filled.map(v => String(v).trim().toLowerCase())).size;
+  return distinct <= SUMMARY_MAX_CATEGORIES && distinct < filled.length ? "categorical" : null;
+}
+
+
+/**
+ * { mean, median, max, sd, last3, n } for values in match order, rounded
+ * to 2 places. sd is the sample standard deviation (blank under 2 values).
+ */
+function describeNumbers(vals) {
+  const r2 = v => Math.round(v * 100) / 100;
+  const n  = vals.length;
+  if (!n) return { mean: null, median: null, max: null, sd: null, last3: null, n: 0 };
+
+  const mean   = vals.reduce((s, v) => s + v, 0) / n;
+  const sorted = vals.slice().sort((a, b) => a - b);
+  const median = n % 2 ? sorted[(n - 1) / 2] : (sorted[n / 2 - 1] + sorted[n / 2]) / 2;
+  const sd     = n > 1 ? Math.sqrt(vals.reduce((s, v) => s + (v - mean) * (v - mean), 0) / (n - 1)) : null;
+  const last   = vals.slice(-3);
+
+  return {
+    mean:   r2(mean),
+    median: r2(median),
+    max:    sorted[n - 1],
+    sd:     sd === null ? null : r2(sd),
+    last3:  r2(last.reduce((s, v) => s + v, 0) / last.length),
+    n
+  };
+}
+
+
+// "Deep ×4 · Shallow ×2", most common first.
+function formatCounts(counts) {
+  return Object.keys(counts || {})
+    .sort((a, b) => counts[b] - counts[a] || a.localeCompare(b))
+    .map(k => `${k} ×${counts[k]}`)
+    .join(" · ");
+}
+
+
+function writeSummarySheet(agg, teams) {
+  const ss  = SpreadsheetApp.getActive();
+  let sheet = ss.getSheetByName(SUMMARY_SHEET);
+  if (!sheet) sheet = ss.insertSheet(SUMMARY_SHEET);
+  sheet.clear();
+
+  // Every value seen per categorical column, for one count column each
+  const catValues = {};
+  agg.categorical.forEach(h => {
+    const seen = new Set();
+    teams.forEach(t => Object.keys(agg.byTeam[t].counts[h] || {}).forEach(v => seen.add(v)));
+    catValues[h] = Array.from(seen).sort();
+  });
+
+  const header = ["Team", "Rows"];
+  agg.numeric.forEach(h => SUMMARY_STATS.forEach(s => header.push(`${h} ${s.label}`)));
+  agg.categorical.forEach(h => catValues[h].forEach(v => header.push(`${h}: ${v}`)));
+
+  const blank = v => v === null || v === undefined ? "" : v;
+  const rows = teams.map(t => {
+    const e   = agg.byTeam[t];
+    const row = [t, e.rows];
+    agg.numeric.forEach(h => SUMMARY_STATS.forEach(s => row.push(blank(e.stats[h][s.key]))));
+    agg.categorical.forEach(h => catValues[h].forEach(v => row.push((e.counts[h] || {})[v] || 0)));
+    return row;
+  });
+
+  sheet.getRange(1, 1, 1, header.length).setValues([header]).setFontWeight("bold");
+  sheet.getRange(2, 1, rows.length, header.length).setValues(rows);
+  sheet.setFrozenRows(1);
+  sheet.setFrozenColumns(1);
+  sheet.autoResizeColumns(1, header.length);
+}
+
+
+/**
+ * Writes (or rewrites) one tab's SCOUTING SUMMARY section — one row
+ * per numeric column, then one per categorical column.
+ */
+function writeSummarySection(sheet, agg, team) {
+  const e     = agg.byTeam[team];
+  const blank = v => v === null || v === undefined ? "" : v;
+
+  const rows = [["Rows scouted", e.rows, "", "", "", "", ""]];
+  agg.numeric.forEach(h => {
+    const s = e.stats[h];
+    rows.push([h, blank(s.mean), blank(s.median), blank(s.max), blank(s.sd), blank(s.last3), ""]);
+  });
+  agg.categorical.forEach(h => {
+    rows.push([h, "", "", "", "", "", formatCounts(e.counts[h])]);
+  });
+
+  const section = ensureSection(sheet, SUMMARY_SECTION_TITLE, SUMMARY_SECTION_HEADERS);
+  writeOwnedSection(sheet, section, rows);
+}
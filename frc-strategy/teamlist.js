@@ -0,0 +1,273 @@
+// ============================================================
+// TEAM LIST IMPORT — fills the "Teams" tab from TBA.
+//
+//   Import Teams from Event(s)…   one or more event keys
+//   Import Teams from District…   a district key (e.g. 2026fim),
+//                                 with district rank
+//
+// Sync rules:
+//   • new teams are appended; known teams get nickname, city,
+//     rookie year (and district rank) refreshed
+//   • Source lists every event/district a team was imported
+//     from; a new import adds its keys and never removes one
+//   • a team whose Source includes a key being imported, but
+//     which that import no longer has, is marked Status =
+//     Dropped (greyed out) — never deleted, and its team tab is
+//     left alone; it comes back as Active if a later import has
+//     it again. Teams from other events/districts are untouched.
+//   • hand-typed teams (blank Source) are never marked Dropped
+//   • any extra columns you add to "Teams" are kept as they are
+//     (formulas included — only the columns above are written)
+//
+// A plain list of numbers in column A (the old format) gets a
+// header row added on the first import.
+// createMaster… skips Dropped teams.
+// ============================================================
+
+const TEAMS_SHEET = "Teams";
+
+const TEAMS_HEADERS = [
+  "Team", "Nickname", "City", "Rookie Year", "District Rank", "Status", "Source", "Last Synced"
+];
+
+
+// Menu: Import Teams from Event(s)…
+function importTeamsFromEvents() {
+  const ui  = SpreadsheetApp.getUi();
+  const cfg = getConfig();
+  const res = ui.prompt(
+    "Import teams from TBA",
+    `Event key(s), comma-separated (blank = ${cfg.EVENT_KEY || "EVENT_KEY from Config"}):`,
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (res.getSelectedButton() !== ui.Button.OK) return;
+
+  const keys = res.getResponseText().split(",").map(k => k.trim().toLowerCase()).filter(k => k);
+  if (!keys.length && cfg.EVENT_KEY) keys.push(cfg.EVENT_KEY);
+  if (!keys.length) throw new Error("No event key given and EVENT_KEY is blank on the Config tab.");
+
+  ui.alert(syncTeams(keys.map(key => ({ type: "event", key }))));
+}
+
+
+// Menu: Import Teams from District…
+function importTeamsFromDistrict() {
+  const ui  = SpreadsheetApp.getUi();
+  const res = ui.prompt("Import teams from TBA", "District key (e.g. 2026fim, 2026pnw):", ui.ButtonSet.OK_CANCEL);
+  if (res.getSelectedButton() !== ui.Button.OK) return;
+
+  const key = res.getResponseText().trim().toLowerCase();
+  if (!key) return;
+
+  ui.alert(syncTeams([{ type: "district", key }]));
+}
+
+
+/**
+ * Syncs the Teams tab with the teams of `sources` ([{ type, key }]).
+ * Returns the summary text.
+ */
+function syncTeams(sources) {
+  requireConfig(["TBA_KEY"]);
+
+  // ── Gather incoming teams ─────────────────────────────────────────────────
+  // Always re-asked (ETags still apply) — a roster change mustn't wait
+  // out the cache TTL.
+  const incoming = {};
+  apiCacheBypass = true;
+  try {
+    sources.forEach(src => fetchIncomingTeams(src, incoming));
+  } finally {
+    apiCacheBypass = false;
+  }
+
+  // ── Merge into the sheet ──────────────────────────────────────────────────
+  const sheet = getOrCreateTeamsSheet();
+  const cols  = teamsColumns(sheet);
+  const width = sheet.getLastColumn();
+  const now   = new Date();
+
+  const lastRow = sheet.getLastRow();
+  const data    = lastRow > 1 ? sheet.getRange(2, 1, lastRow - 1, width).getValues() : [];
+  const seen    = new Set();
+  const keys    = sources.map(s => s.key);
+
+  let updated = 0, dropped = 0, revived = 0;
+  const log = [];
+
+  const fill = (row, t, known) => {
+    row[cols["Nickname"]]    = t.nickname;
+    row[cols["City"]]        = t.city;
+    row[cols["Rookie Year"]] = t.rookie;
+    if (t.districtRank !== "") row[cols["District Rank"]] = t.districtRank;
+    row[cols["Source"]]      = [...new Set(known.concat(t.sources))].join(", ");
+    row[cols["Last Synced"]] = now;
+  };
+
+  data.forEach(row => {
+    const team = Number(row[cols["Team"]]);
+    if (!Number.isInteger(team) || team <= 0) return;
+    seen.add(team);
+
+    const t     = incoming[team];
+    const known = sourceKeys(row[cols["Source"]]);
+    if (t) {
+      if (row[cols["Status"]] === "Dropped") {
+        revived++;
+        log.push(`↩️  ${team} is back`);
+      }
+      fill(row, t, known);
+      row[cols["Status"]] = "Active";
+      updated++;
+    } else if (known.some(k => keys.includes(k)) && row[cols["Status"]] !== "Dropped") {
+      row[cols["Status"]] = "Dropped";
+      dropped++;
+      log.push(`⛔ ${team} dropped (no longer in ${known.filter(k => keys.includes(k)).join(", ")})`);
+    }
+  });
+
+  // New teams — district imports in rank order, otherwise by number
+  const added = Object.values(incoming)
+    .filter(t => !seen.has(t.team))
+    .sort((a, b) => (a.districtRank || Infinity) - (b.districtRank || Infinity) || a.team - b.team)
+    .map(t => {
+      const row = new Array(width).fill("");
+      row[cols["Team"]]   = t.team;
+      row[cols["Status"]] = "Active";
+      fill(row, t, []);
+      return row;
+    });
+
+  // Only the TEAMS_HEADERS columns are written (and greyed), one column
+  // at a time, so formulas and colours in columns the user added stay
+  const all    = data.concat(added);
+  const colors = all.map(row => [row[cols["Status"]] === "Dropped" ? "#999999" : null]);
+  if (all.length) {
+    TEAMS_HEADERS.forEach(h => {
+      const c = cols[h];
+      sheet.getRange(2, c + 1, all.length, 1)
+        .setValues(all.map(row => [row[c]]))
+        .setFontColors(colors);
+    });
+  }
+  sheet.autoResizeColumns(1, TEAMS_HEADERS.length);
+  SpreadsheetApp.flush();
+
+  const summary = [
+    `Done! ${Object.keys(incoming).length} team(s) from ${keys.join(", ")}`,
+    `  • ${added.length} new team(s) added`,
+    `  • ${updated} existing team(s) updated (${revived} back from Dropped)`,
+    `  • ${dropped} team(s) marked Dropped (tabs kept)`,
+    added.length ? "\nRun createMasterFromTeamList_PLAINTEXT or Refresh to build tabs for new teams." : "",
+    log.length ? "\nDetails (last 20):\n" + log.slice(-20).join("\n") : ""
+  ].filter(l => l).join("\n");
+
+  Logger.log(summary);
+  return summary;
+}
+
+
+/**
+ * Adds the teams of one source ({ type, key }) to `incoming`
+ * ({ team: { team, nickname, city, rookie, districtRank, sources } }).
+ */
+function fetchIncomingTeams(src, incoming) {
+  const base  = src.type === "district" ? "/district/" : "/event/";
+  const teams = tbaGet(base + src.key + "/teams");
+  if (!teams || !teams.length) {
+    throw new Error(`TBA has no teams for ${src.type} "${src.key}" — check the key.`);
+  }
+
+  teams.forEach(t => {
+    const team = t.team_number;
+    if (!incoming[team]) incoming[team] = { team, sources: [], districtRank: "" };
+    Object.assign(incoming[team], {
+      nickname: t.nickname || "",
+      city:     [t.city, t.state_prov, t.country].filter(x => x).join(", "),
+      rookie:   t.rookie_year || ""
+    });
+    incoming[team].sources.push(src.key);
+  });
+
+  if (src.type === "district") {
+    (tbaGet("/district/" + src.key + "/rankings") || []).forEach(r => {
+      const team = Number(String(r.team_key).replace("frc", ""));
+      if (incoming[team]) incoming[team].districtRank = r.rank;
+    });
+  }
+}
+
+
+// ── UTILITIES ────────────────────────────────────────────────────────────────
+
+/**
+ * Returns the Teams sheet with every TEAMS_HEADERS column present.
+ * Old headerless lists get a header row; missing headers go on the end.
+ */
+function getOrCreateTeamsSheet() {
+  const ss  = SpreadsheetApp.getActive();
+  let sheet = ss.getSheetByName(TEAMS_SHEET);
+  if (!sheet) sheet = ss.insertSheet(TEAMS_SHEET);
+
+  if (sheet.getLastRow() > 0 && !teamsSheetHasHeader(sheet)) sheet.insertRowBefore(1);
+
+  const lastCol = Math.max(sheet.getLastColumn(), 1);
+  const header  = trimTrailingBlanks(sheet.getRange(1, 1, 1, lastCol).getValues()[0]).map(h => String(h).trim());
+  if (!header.length) header.push("Team");
+  else if (!header[0]) header[0] = "Team";
+
+  TEAMS_HEADERS.forEach(h => { if (!header.includes(h)) header.push(h); });
+  sheet.getRange(1, 1, 1, header.length).setValues([header]).setFontWeight("bold");
+  sheet.setFrozenRows(1);
+  return sheet;
+}
+
+
+/**
+ * { header: 0-based column } for the Teams sheet's header row.
+ */
+function teamsColumns(sheet) {
+  const header = sheet.getRange(1, 1, 1, Math.max(sheet.getLastColumn(), 1)).getValues()[0];
+  const cols   = {};
+  header.forEach((h, i) => {
+    const name = String(h).trim();
+    if (name && !(name in cols)) cols[name] = i;
+  });
+  return cols;
+}
+
+
+// The event/district keys in a Source cell ("2026casj, 2026cafr").
+function sourceKeys(value) {
+  return String(value || "").split(",").map(k => k.trim().toLowerCase()).filter(k => k);
+}
+
+
+// False for the old format: a team number already in A1.
+function teamsSheetHasHeader(sheet) {
+  const a1 = sheet.getRange(1, 1).getValue();
+  return a1 === "" || isNaN(Number(a1));
+}
+
+
+/**
+ * Team numbers on the Teams tab, skipping the header, blanks, anything
+ * non-numeric and teams marked Dropped.
+ */
+function readTeamNumbers(sheet) {
+  const lastRow = sheet.getLastRow();
+  if (lastRow === 0) return [];
+
+  const hasHeader = teamsSheetHasHeader(sheet);
+  const cols      = hasHeader ? teamsColumns(sheet) : {};
+  const teamCol   = cols["Team"] ?? 0;
+  const statusCol = cols["Status"];
+  const first     = hasHeader ? 2 : 1;
+  if (lastRow < first) return [];
+
+  return sheet.getRange(first, 1, lastRow - first + 1, Math.max(sheet.getLastColumn(), 1))
+    .getValues()
+    .filter(row => statusCol === undefined || row[statusCol] !== "Dropped")
+    .map(row => Number(row[teamCol]))
+    .filter(n => Number.isInteger(n) && n > 0);
+}
@@ -0,0 +1,322 @@
+// ============================================================
+// TEAM TAB LAYOUT
+//
+//   Row 1        team number + stat headers
+//   Rows 2–4     Current / Last Year / Past 3 Years   (writeStatRows)
+//   Row 6        event table headers
+//   Rows 7–21    event table — reserved block          (writeEventRows)
+//   Row 23+      sections: SCOUTING NOTES, MATCH SCOUTING,
+//                SEASON HISTORY, SCOUTING SUMMARY …
+//
+// A section is a bold title cell in column A, a header row
+// directly below it, then data rows until the first fully blank
+// row. Sections grow by inserting rows, so the one below always
+// gets pushed down instead of overwritten, and the event block
+// never grows into them.
+// ============================================================
+
+const TEAM_TAB = {
+  STAT_ROWS:          { CURRENT: 2, LAST_YEAR: 3, PAST_3: 4 },
+  STAT_COLS:          { RANK: 2, EPA: 3, AUTO_EPA: 4, ENDGAME_EPA: 5,
+                        EPA_PCT: 6, AUTO_PCT: 7, ENDGAME_PCT: 8, NORM_EPA: 9, WIN_LOSS: 10 },
+  EVENT_HEADER_ROW:   6,
+  EVENT_FIRST_ROW:    7,
+  EVENT_MAX_ROWS:     15,   // rows 7–21
+  EVENT_COLS:         13,   // … district points, event key, event EPA
+  EVENT_KEY_COL:      12,
+  SECTIONS_FIRST_ROW: 23    // no section may start above this row
+};
+
+const NOTES_SECTION_TITLE = "SCOUTING NOTES";
+
+
+// ============================================================
+// Re-layout — migrates tabs built by older versions.
+//
+// Old tabs had SA rows pasted (headerless) 5 rows below whatever
+// was last on the tab, often right under the event table where
+// the next refresh would clear them. This moves every such row
+// into the SCOUTING NOTES section under the current SA headers,
+// and moves existing sections below the reserved event block.
+// Menu-only — setup and refresh never re-lay a tab out. A tab
+// that needs it is backed up first (owned.js), since the
+// rewrite keeps values, not formulas. Safe to run more than once.
+// ============================================================
+function relayoutTeamTabs() {
+  const cfg = requireConfig(["SA_SOURCE_SHEET"]);
+  const ss  = SpreadsheetApp.getActive();
+  const src = ss.getSheetByName(cfg.SA_SOURCE_SHEET);
+
+  const notesHeaders = src ? readSAHeaders(src) : [];
+  let migrated = 0, moved = 0, tabs = 0;
+  const backups = ownedTally.backups;
+  const log = [];
+
+  ss.getSheets().forEach(sheet => {
+    const team = parseInt(sheet.getName());
+    if (isNaN(team)) return;
+
+    const result = relayoutTeamTab(sheet, notesHeaders);
+    tabs++;
+    migrated += result.legacyRows;
+    moved    += result.sections;
+    if (result.legacyRows || result.sections) {
+      log.push(`✅ ${team}: ${result.legacyRows} pasted row(s) → ${NOTES_SECTION_TITLE}, ${result.sections} section(s) re-placed`);
+    }
+  });
+
+  SpreadsheetApp.flush();
+
+  const summary = [
+    `Done! ${tabs} team tab(s) checked.`,
+    `  • ${migrated} loose pasted row(s) moved into ${NOTES_SECTION_TITLE}`,
+    `  • ${moved} section(s) re-placed below the event table`,
+    `  • ${ownedTally.backups - backups} tab(s) backed up first (hidden "${BACKUP_PREFIX}…" sheets)`,
+    src ? "" : `⚠️  "${cfg.SA_SOURCE_SHEET}" not found — loose rows were kept without SA headers.`,
+    log.length ? "\nDetails (last 20):\n" + log.slice(-20).join("\n") : "",
+  ].join("\n").trim();
+
+  Logger.log(summary);
+  SpreadsheetApp.getUi().alert(summary);
+}
+
+
+/**
+ * Re-lays out one team tab. Everything from the end of the event table
+ * down is read, cleared and written back as sections.
+ * Returns { legacyRows, sections } counts.
+ */
+function relayoutTeamTab(sheet, notesHeaders) {
+  const lastRow = sheet.getLastRow();
+  const lastCol = Math.max(sheet.getLastColumn(), 1);
+  if (lastRow < TEAM_TAB.EVENT_FIRST_ROW) return { legacyRows: 0, sections: 0 };
+
+  const data = sheet
+    .getRange(TEAM_TAB.EVENT_FIRST_ROW, 1, lastRow - TEAM_TAB.EVENT_FIRST_ROW + 1, lastCol)
+    .getValues();
+  const isBlank = row => row.every(cell => cell === "" || cell === null || cell === undefined);
+
+  // Event rows: contiguous from row 7 until the first blank row
+  let r = 0;
+  while (r < data.length && !isBlank(data[r]) && !isSectionTitle(data[r][0])) r++;
+  const eventRows = r;
+
+  // The rest is either a known section or loose pasted rows
+  const sections = [];
+  const legacy   = [];
+
+  while (r < data.length) {
+    if (isSectionTitle(data[r][0])) {
+      const title   = data[r][0];
+      const headers = trimTrailingBlanks(data[r + 1] || []).map(h => String(h));
+      const rows    = [];
+      r += 2;
+      while (r < data.length && !isBlank(data[r])) rows.push(data[r++]);
+      sections.push({ title, headers, rows });
+      continue;
+    }
+    if (!isBlank(data[r])) legacy.push(data[r]);
+    r++;
+  }
+
+  if (!legacy.length && sections.every(s => findSectionRow(sheet, s.title) >= TEAM_TAB.SECTIONS_FIRST_ROW)) {
+    return { legacyRows: 0, sections: 0 };
+  }
+
+  // Clear everything below the event rows, then rebuild sections
+  backupTeamTab(sheet);
+  const clearFrom = TEAM_TAB.EVENT_FIRST_ROW + eventRows;
+  if (lastRow >= clearFrom) {
+    sheet.getRange(clearFrom, 1, lastRow - clearFrom + 1, lastCol)
+      .clearContent()
+      .setFontWeight("normal");
+  }
+
+  sections.forEach(s => {
+    const section = ensureSection(sheet, s.title, s.headers);
+    appendSectionRows(sheet, section, s.rows.map(row => alignToHeaders(row, s.headers, section.headers)));
+  });
+
+  if (legacy.length) {
+    const headers = notesHeaders.length
+      ? notesHeaders
+      : legacy[0].map((_, i) => "Col " + (i + 1));
+    const notes    = ensureSection(sheet, NOTES_SECTION_TITLE, headers);
+    const existing = getSectionRows(sheet, notes).values.map(v => JSON.stringify(v));
+    const rows     = legacy
+      .map(row => alignToHeaders(row, headers, notes.headers))
+      .filter(row => !existing.includes(JSON.stringify(row)));
+    appendSectionRows(sheet, notes, rows);
+  }
+
+  return { legacyRows: legacy.length, sections: sections.length };
+}
+
+
+// ============================================================
+// Reads the numbers writeStatRows / writeEventRows left on a
+// team tab, so other tools don't refetch what's already there.
+// Blank cells come back as null.
+// ============================================================
+function readTeamTabMetrics(sheet) {
+  const C      = TEAM_TAB.STAT_COLS;
+  const width  = Math.max(TEAM_TAB.EVENT_COLS, C.WIN_LOSS);
+  const stats  = sheet.getRange(TEAM_TAB.STAT_ROWS.CURRENT, 1, 3, width).getValues();
+  const events = sheet
+    .getRange(TEAM_TAB.EVENT_FIRST_ROW, 1, TEAM_TAB.EVENT_MAX_ROWS, TEAM_TAB.EVENT_COLS)
+    .getValues()
+    .filter(row => row[0] !== "" && row[0] !== null);
+
+  const num = v => (v === "" || v === null || isNaN(Number(v))) ? null : Number(v);
+  const current = stats[0];
+
+  const winRates = events
+    .map(row => resolveValue("WIN_RATE", row[COLUMN_MAP.WIN_RATE.col - 1]))
+    .filter(v => v !== null);
+  const districtPts = events
+    .map(row => resolveValue("DISTRICT_PTS", row[COLUMN_MAP.DISTRICT_PTS.col - 1]))
+    .filter(v => v !== null);
+
+  return {
+    epa:         num(current[C.EPA - 1]),
+    autoEpa:     num(current[C.AUTO_EPA - 1]),
+    endgameEpa:  num(current[C.ENDGAME_EPA - 1]),
+    epaPct:      num(current[C.EPA_PCT - 1]),
+    normEpa:     num(current[C.NORM_EPA - 1]),
+    winRate:     winRates.length ? winRates.reduce((s, v) => s + v, 0) / winRates.length : null,
+    districtPts: districtPts.length ? districtPts.reduce((s, v) => s + v, 0) : null,
+    stats,
+    events
+  };
+}
+
+
+// ── SECTIONS ─────────────────────────────────────────────────────────────────
+
+/**
+ * Returns the 1-based row of a section title in column A, or 0 if absent.
+ */
+function findSectionRow(sheet, title) {
+  const lastRow = sheet.getLastRow();
+  if (lastRow === 0) return 0;
+
+  const colA = sheet.getRange(1, 1, lastRow, 1).getValues();
+  for (let r = 0; r < colA.length; r++) {
+    if (colA[r][0] === title) return r + 1;
+  }
+  return 0;
+}
+
+
+/**
+ * True if a column-A value is the title of a section this script manages.
+ */
+function isSectionTitle(value) {
+  return value === NOTES_SECTION_TITLE || value === MD_SECTION_TITLE ||
+         value === HISTORY_SECTION_TITLE || value === SUMMARY_SECTION_TITLE;
+}
+
+
+/**
+ * Finds a section or creates it SA_ROWS_GAP (Config) rows below the last
+ * content row — never above TEAM_TAB.SECTIONS_FIRST_ROW.
+ * Any header in `headers` the section doesn't have yet is appended to its
+ * header row, so existing rows keep their columns.
+ * Returns { titleRow, headerRow, headers }.
+ */
+function ensureSection(sheet, title, headers) {
+  let titleRow = findSectionRow(sheet, title);
+
+  if (!titleRow) {
+    const last = findLastContentRow(sheet);
+    titleRow   = Math.max(TEAM_TAB.SECTIONS_FIRST_ROW, last + getConfig().SA_ROWS_GAP + 1);
+    if (titleRow > sheet.getMaxRows()) {
+      sheet.insertRowsAfter(sheet.getMaxRows(), titleRow - sheet.getMaxRows() + 1);
+    }
+    sheet.getRange(titleRow, 1).setValue(title).setFontWeight("bold");
+  }
+
+  const headerRow = titleRow + 1;
+  const width     = Math.max(sheet.getLastColumn(), headers.length, 1);
+  const current   = trimTrailingBlanks(sheet.getRange(headerRow, 1, 1, width).getValues()[0]);
+
+  const merged = current.map(h => String(h));
+  headers.forEach(h => { if (!merged.includes(h)) merged.push(h); });
+
+  if (merged.length !== current.length) {
+    sheet.getRange(headerRow, 1, 1, merged.length)
+      .setValues([merged])
+      .setFontWeight("bold");
+  }
+
+  return { titleRow, headerRow, headers: merged };
+}
+
+
+/**
+ * Reads a section's data rows (everything below the header row up to the
+ * first fully blank row). Returns { firstRow, values }.
+ */
+function getSectionRows(sheet, section) {
+  const firstRow = section.headerRow + 1;
+  const lastRow  = sheet.getLastRow();
+  const width    = Math.max(section.headers.length, 1);
+
+  if (lastRow < firstRow) return { firstRow, values: [] };
+
+  const data   = sheet.getRange(firstRow, 1, lastRow - firstRow + 1, width).getValues();
+  const values = [];
+  for (let r = 0; r < data.length; r++) {
+    const rowHasContent = data[r].some(cell => cell !== "" && cell !== null && cell !== undefined);
+    if (!rowHasContent) break;
+    values.push(data[r]);
+  }
+  return { firstRow, values };
+}
+
+
+/**
+ * Appends rows to the end of a section. If anything sits below the section
+ * (another section) rows are inserted so it gets pushed down instead of
+ * overwritten. Returns the 1-based row the first new row landed on.
+ */
+function appendSectionRows(sheet, section, rows) {
+  const existing = getSectionRows(sheet, section);
+  const endRow   = section.headerRow + existing.values.length;
+  const width    = section.headers.length;
+  if (!rows.length) return endRow + 1;
+
+  if (sheet.getLastRow() > endRow || endRow + rows.length > sheet.getMaxRows()) {
+    sheet.insertRowsAfter(endRow, rows.length);
+  }
+
+  const padded = rows.map(r => {
+    const out = r.slice(0, width);
+    while (out.length < width) out.push("");
+    return out;
+  });
+
+  sheet.getRange(endRow + 1, 1, padded.length, width).setValues(padded);
+  return endRow + 1;
+}
+
+
+/**
+ * Replaces a section's data rows outright — for sections the script owns,
+ * like SEASON HISTORY. Whatever sits below moves up or down to fit.
+ */
+function replaceSectionRows(sheet, section, rows) {
+  const existing = getSectionRows(sheet, section);
+  if (existing.values.length) sheet.deleteRows(existing.firstRow, existing.values.length);
+  return appendSectionRows(sheet, section, rows);
+}
+
+
+/**
+ * Drops trailing blank cells from a row.
+ */
+function trimTrailingBlanks(row) {
+  let used = row.length;
+  while (used > 0 && (row[used - 1] === "" || row[used - 1] === null || row[used - 1] === undefined)) used--;
+  return row.slice(0, used);
+}
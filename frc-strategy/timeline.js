@@ -0,0 +1,197 @@
+// ============================================================
+// MATCH TIMELINE — one team's event, match by match.
+//
+// writeEventRows folds an event into one row; this is the
+// drill-down. For a team and event key (prompted; the event
+// defaults to EVENT_KEY, else the team's latest event on its
+// tab) the "Match Timeline" tab lists every qual and elim
+// match the team played, in play order:
+//   • alliance, partners and opponents
+//   • predicted vs actual score for the team's alliance, and W/L/T
+//   • the team's EPA after the match (Statbotics team_matches)
+//     and how much that match moved it
+// with a line chart of EPA through the event, so teams that got
+// better after a fix stand out.
+//
+// The tab is rebuilt on every run.
+// ============================================================
+
+const TIMELINE_SHEET     = "Match Timeline";
+const TIMELINE_FIRST_ROW = 5;     // rows 1–2 = title + summary, 4 = header
+
+const TIMELINE_HEADERS = [
+  "Match", "Level", "Alliance", "Partners", "Opponents",
+  "Predicted", "Actual", "Actual − Predicted", "Result", "EPA After", "EPA Change"
+];
+
+
+// Menu: Build Match Timeline…
+function buildMatchTimelinePrompt() {
+  const ui  = SpreadsheetApp.getUi();
+  const cfg = getConfig();
+  const res = ui.prompt(
+    "Match timeline",
+    `Team number, then an event key (e.g. "254 2026casj"). Event blank = ${cfg.EVENT_KEY || "the team's latest event"}:`,
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (res.getSelectedButton() !== ui.Button.OK) return;
+
+  const parts = res.getResponseText().trim().split(/[\s,]+/);
+  const team  = parseInt(parts[0]);
+  if (isNaN(team)) {
+    ui.alert(`"${parts[0]}" isn't a team number.`);
+    return;
+  }
+
+  const eventKey = (parts[1] || "").toLowerCase() || cfg.EVENT_KEY || latestTabEvent(team);
+  if (!eventKey) throw new Error(`No event key given, EVENT_KEY is blank and team ${team} has no events on its tab.`);
+
+  ui.alert(buildMatchTimeline(team, eventKey));
+}
+
+
+/**
+ * Builds the Match Timeline tab for `team` at `eventKey`. Returns a
+ * summary message.
+ */
+function buildMatchTimeline(team, eventKey) {
+  if (!/^\d{4}[a-z0-9]+$/.test(eventKey)) throw new Error(`"${eventKey}" doesn't look like an event key (e.g. 2026casj)`);
+
+  const played = fetchEventMatches(eventKey)
+    .filter(m => teamSide(m, team))
+    .sort((a, b) => matchSortKey(a) - matchSortKey(b));
+  if (!played.length) {
+    return `Statbotics has no matches for team ${team} at ${eventKey} — check the team number and event key.`;
+  }
+
+  const r1     = v => v === null || v === undefined ? "" : Math.round(v * 10) / 10;
+  const epas   = fetchTeamMatchEpas(team, eventKey);
+  const rows   = [];
+  const record = { W: 0, L: 0, T: 0 };
+  let startEpa = null;
+  let lastEpa  = null;
+
+  played.forEach((m, i) => {
+    const side  = teamSide(m, team);
+    const other = side === "red" ? "blue" : "red";
+    const ours  = m.alliances[side].team_keys;
+
+    const pred   = m.pred?.[side + "_score"] ?? null;
+    const actual = m.result?.[side + "_score"] ?? null;
+    const result = matchResultFor(m, side);
+    if (result) record[result]++;
+
+    // EPA after this match = post_epa, else the pre-match EPA of the
+    // next one; blank until the match is played
+    const tm     = epas[m.key];
+    const next   = played[i + 1] && epas[played[i + 1].key];
+    const before = tm?.epa?.total_points ?? null;
+    const after  = result ? (tm?.post_epa ?? next?.epa?.total_points ?? null) : null;
+    if (startEpa === null) startEpa = before ?? after;
+    const base   = lastEpa ?? before;
+
+    rows.push([
+      matchLabel(m),
+      m.elim ? "Elim" : "Qual",
+      side === "red" ? "Red" : "Blue",
+      ours.filter(t => t !== team).join(", "),
+      m.alliances[other].team_keys.join(", "),
+      r1(pred),
+      actual ?? "",
+      pred !== null && actual !== null ? r1(actual - pred) : "",
+      result,
+      r1(after),
+      after !== null && base !== null ? r1(after - base) : ""
+    ]);
+    if (after !== null) lastEpa = after;
+  });
+
+  const sheet = writeTimelineSheet(team, eventKey, rows, record, startEpa, lastEpa);
+  SpreadsheetApp.getActive().setActiveSheet(sheet);
+  SpreadsheetApp.flush();
+
+  const charted = rows.filter(r => r[9] !== "").length;
+  return [
+    `Done! ${rows.length} match(es) for team ${team} at ${eventKey} on "${TIMELINE_SHEET}".`,
+    `  • Record ${record.W}W-${record.L}L-${record.T}T`,
+    startEpa !== null && lastEpa !== null ? `  • EPA ${r1(startEpa)} → ${r1(lastEpa)}` : "",
+    charted ? "" : "  ⚠️  Statbotics has no per-match EPA for this event yet — no chart."
+  ].filter(l => l).join("\n");
+}
+
+
+// ── UTILITIES ────────────────────────────────────────────────────────────────
+
+function writeTimelineSheet(team, eventKey, rows, record, startEpa, endEpa) {
+  const r1  = v => Math.round(v * 10) / 10;
+  const ss  = SpreadsheetApp.getActive();
+  let sheet = ss.getSheetByName(TIMELINE_SHEET);
+  if (!sheet) sheet = ss.insertSheet(TIMELINE_SHEET);
+
+  sheet.getCharts().forEach(c => sheet.removeChart(c));
+  sheet.clear();
+
+  const change = startEpa !== null && endEpa !== null
+    ? ` • EPA ${r1(startEpa)} → ${r1(endEpa)} (${endEpa >= startEpa ? "+" : ""}${r1(endEpa - startEpa)})`
+    : "";
+
+  sheet.getRange(1, 1).setValue(`TEAM ${team} @ ${eventKey} — MATCH TIMELINE`).setFontWeight("bold");
+  sheet.getRange(2, 1).setValue(`Record ${record.W}W-${record.L}L-${record.T}T${change} • built ${new Date().toLocaleString()}`);
+  sheet.getRange(TIMELINE_FIRST_ROW - 1, 1, 1, TIMELINE_HEADERS.length)
+    .setValues([TIMELINE_HEADERS])
+    .setFontWeight("bold");
+  sheet.getRange(TIMELINE_FIRST_ROW, 1, rows.length, TIMELINE_HEADERS.length).setValues(rows);
+  sheet.setFrozenRows(TIMELINE_FIRST_ROW - 1);
+  sheet.autoResizeColumns(1, TIMELINE_HEADERS.length);
+
+  if (rows.some(r => r[9] !== "")) {
+    const epaCol = TIMELINE_HEADERS.indexOf("EPA After") + 1;
+    const chart  = sheet.newChart()
+      .setChartType(Charts.ChartType.LINE)
+      .addRange(sheet.getRange(TIMELINE_FIRST_ROW - 1, 1, rows.length + 1, 1))
+      .addRange(sheet.getRange(TIMELINE_FIRST_ROW - 1, epaCol, rows.length + 1, 1))
+      .setNumHeaders(1)
+      .setOption("title", `Team ${team} EPA through ${eventKey}`)
+      .setOption("hAxis.title", "Match")
+      .setOption("vAxis.title", "EPA")
+      .setOption("legend.position", "none")
+      .setOption("pointSize", 4)
+      .setOption("interpolateNulls", true)
+      .setOption("width", DASHBOARD_CHART_WIDTH)
+      .setOption("height", DASHBOARD_CHART_HEIGHT)
+      .setPosition(TIMELINE_FIRST_ROW - 1, TIMELINE_HEADERS.length + 2, 0, 0)
+      .build();
+    sheet.insertChart(chart);
+  }
+  return sheet;
+}
+
+
+/**
+ * Statbotics team_match records for one team at one event, by match
+ * key. {} on failure (the EPA columns just stay blank then).
+ */
+function fetchTeamMatchEpas(team, eventKey) {
+  const out = {};
+  try {
+    const res = cachedFetch(
+      "https://api.statbotics.io/v3/team_matches?team=" + team + "&event=" + eventKey + "&limit=1000",
+      { muteHttpExceptions: true }
+    );
+    (parseJsonResponse(res) || []).forEach(tm => { out[tm.match] = tm; });
+  } catch (e) {
+    Logger.log("Statbotics team_matches error for " + team + " at " + eventKey + ": " + e);
+  }
+  return out;
+}
+
+
+// Event key of the last row in the team tab's event table, or "".
+function latestTabEvent(team) {
+  const sheet = SpreadsheetApp.getActive().getSheetByName(String(team));
+  if (!sheet) return "";
+  const keys = readTeamTabMetrics(sheet).events
+    .map(row => String(row[TEAM_TAB.EVENT_KEY_COL - 1] || "").trim())
+    .filter(k => k);
+  return keys.length ? keys[keys.length - 1] : "";
+}
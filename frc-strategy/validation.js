@@ -0,0 +1,292 @@
+// ============================================================
+// SA DATA VALIDATION
+//
+// Checks every SA_DATA_MASTER row against the rules on the
+// "SA Rules" tab (one row per SA column, created on first run,
+// new SA columns added as they appear):
+//   Required        cell must not be blank
+//   Min / Max       numeric range (blank = no limit)
+//   Allowed Values  comma-separated list, case-insensitive
+//   Duplicate Key   the ticked columns together must be unique —
+//                   by default team, match and scouter, so two
+//                   submissions for the same robot in the same
+//                   match by the same scout get caught
+// plus the team number itself, checked against SA_ALLOWED_TEAMS
+// (Config): the Teams tab, TBA's EVENT_KEY team list, or ANY.
+//
+// Bad cells get a red background and a ⚠️ note (cleared again
+// once fixed); the full list goes to "SA Validation Report".
+// With SA_HOLD_FLAGGED = TRUE the SA push skips flagged rows
+// until they're fixed.
+// ============================================================
+
+const SA_RULES_SHEET      = "SA Rules";
+const SA_REPORT_SHEET     = "SA Validation Report";
+const SA_REPORT_FIRST_ROW = 5;     // rows 1–2 = title + summary, 4 = header
+const SA_FLAG_COLOR       = "#f4cccc";
+const SA_FLAG_NOTE        = "⚠️ Validation:";
+
+const SA_RULES_HEADERS = ["Column", "Required", "Min", "Max", "Allowed Values", "Duplicate Key", "Notes"];
+
+
+// Menu: Validate SA_DATA_MASTER
+function validateSAData() {
+  const result = runSAValidation();
+  SpreadsheetApp.getUi().alert(result.message);
+}
+
+
+/**
+ * Validates SA_DATA_MASTER, highlights bad cells and rewrites the report.
+ * Returns { issues, flaggedRows (Set of 1-based rows), message }.
+ */
+function runSAValidation() {
+  const cfg = requireConfig(["SA_SOURCE_SHEET", "SA_TEAM_COLUMN", "SA_ALLOWED_TEAMS"]);
+  const src = SpreadsheetApp.getActive().getSheetByName(cfg.SA_SOURCE_SHEET);
+  if (!src) {
+    return { issues: [], flaggedRows: new Set(), message: `❌ Sheet "${cfg.SA_SOURCE_SHEET}" not found.` };
+  }
+
+  const headers = readSAHeaders(src);
+  const lastRow = src.getLastRow();
+  if (!headers.length || lastRow < 2) {
+    return { issues: [], flaggedRows: new Set(), message: `${cfg.SA_SOURCE_SHEET} has no data rows yet.` };
+  }
+
+  const rules   = readSARules(headers);
+  const allowed = loadAllowedTeams(cfg);
+  const teamIdx = resolveColumn(cfg.SA_TEAM_COLUMN) - 1;
+  const data    = src.getRange(2, 1, lastRow - 1, headers.length).getValues();
+
+  const header1  = src.getRange(1, 1, 1, src.getLastColumn()).getValues()[0];
+  const trackIdx = header1.indexOf(SA_TRACKING_COL);
+  const marks    = trackIdx >= 0 ? src.getRange(2, trackIdx + 1, lastRow - 1, 1).getValues().flat() : [];
+
+  const blank  = v => v === "" || v === null || v === undefined;
+  const issues = [];
+  const seen   = {};   // duplicate key → first row
+
+  data.forEach((row, i) => {
+    if (row.every(blank)) return;
+    const sheetRow = i + 2;
+    const add = (c, problem) => issues.push({
+      row: sheetRow, col: c + 1, header: headers[c], value: row[c], team: row[teamIdx], problem,
+      pasted: !blank(marks[i])
+    });
+
+    // Team number
+    const team = Number(row[teamIdx]);
+    if (blank(row[teamIdx]) || !Number.isInteger(team) || team <= 0) {
+      add(teamIdx, `"${row[teamIdx]}" is not a valid team number`);
+    } else if (allowed.teams && !allowed.teams.has(team)) {
+      add(teamIdx, `team ${team} is not on ${allowed.source}`);
+    }
+
+    // Per-column rules
+    headers.forEach((h, c) => {
+      const rule = rules.byHeader[h];
+      if (!rule || (c === teamIdx && blank(row[c]))) return;   // already flagged above
+      const v = row[c];
+
+      if (blank(v)) {
+        if (rule.required) add(c, "required — blank");
+        return;
+      }
+      if (rule.min !== null || rule.max !== null) {
+        const n = Number(v);
+        if (typeof v === "boolean" || String(v).trim() === "" || isNaN(n)) {
+          add(c, `"${v}" is not a number`);
+        } else if ((rule.min !== null && n < rule.min) || (rule.max !== null && n > rule.max)) {
+          add(c, `${n} is outside ${rule.min ?? "−∞"}–${rule.max ?? "∞"}`);
+        }
+      }
+      if (rule.allowed && !rule.allowed.includes(String(v).trim().toLowerCase())) {
+        add(c, `"${v}" is not one of: ${rule.allowed.join(", ")}`);
+      }
+    });
+
+    // Duplicates — later rows are flagged, the first one stands
+    if (rules.dupCols.length) {
+      const key = saDuplicateKey(row, rules);
+      if (key) {
+        if (seen[key]) {
+          add(teamIdx, `duplicate of row ${seen[key]} (same ${rules.dupCols.map(c => headers[c]).join(", ")})`);
+        } else {
+          seen[key] = sheetRow;
+        }
+      }
+    }
+  });
+
+  highlightSAIssues(src, issues, data.length, headers.length);
+  writeSAReport(issues, allowed);
+
+  const flaggedRows = new Set(issues.map(x => x.row));
+  const message = [
+    issues.length
+      ? `⚠️  ${issues.length} problem(s) in ${flaggedRows.size} row(s) of ${cfg.SA_SOURCE_SHEET}.`
+      : `✅ ${cfg.SA_SOURCE_SHEET} looks good — no problems found.`,
+    `  • Team list: ${allowed.source}`,
+    cfg.SA_HOLD_FLAGGED ? "  • Flagged rows are held back from the SA push (SA_HOLD_FLAGGED)" : "",
+    issues.length ? `  • Details on the "${SA_REPORT_SHEET}" tab; bad cells are highlighted` : ""
+  ].filter(l => l).join("\n");
+
+  Logger.log(message);
+  return { issues, flaggedRows, message };
+}
+
+
+// ── UTILITIES ────────────────────────────────────────────────────────────────
+
+/**
+ * Reads the SA Rules tab (creating it, or adding rows for new SA columns).
+ * Returns { byHeader: { header: { required, min, max, allowed } }, dupCols, matchCol }.
+ */
+function readSARules(headers) {
+  const ss  = SpreadsheetApp.getActive();
+  let sheet = ss.getSheetByName(SA_RULES_SHEET);
+  if (!sheet) {
+    sheet = ss.insertSheet(SA_RULES_SHEET);
+    sheet.getRange(1, 1, 1, SA_RULES_HEADERS.length)
+      .setValues([SA_RULES_HEADERS])
+      .setFontWeight("bold");
+    sheet.setFrozenRows(1);
+  }
+
+  const lastRow = sheet.getLastRow();
+  const rows    = lastRow > 1 ? sheet.getRange(2, 1, lastRow - 1, SA_RULES_HEADERS.length).getValues() : [];
+  const known   = new Set(rows.map(r => String(r[0]).trim()));
+
+  // New SA columns: the team column is required; team / match / scouter
+  // make up the default duplicate key (only if there's a match column)
+  const teamIdx    = resolveColumn(getConfig().SA_TEAM_COLUMN) - 1;
+  const hasMatch   = findHeaderIndex(headers, MD_MATCH_HEADERS) >= 0;
+  const dupAliases = MD_MATCH_HEADERS.concat(MD_SCOUTER_HEADERS).map(normalizeHeader);
+  const missing    = headers
+    .filter(h => !known.has(h))
+    .map(h => {
+      const isTeam = headers.indexOf(h) === teamIdx;
+      const isDup  = hasMatch && (isTeam || dupAliases.includes(normalizeHeader(h)));
+      return [h, isTeam, "", "", "", isDup, ""];
+    });
+
+  if (missing.length) {
+    const first = Math.max(sheet.getLastRow(), 1) + 1;
+    sheet.getRange(first, 1, missing.length, SA_RULES_HEADERS.length).setValues(missing);
+    sheet.getRange(first, 2, missing.length, 1).insertCheckboxes();
+    sheet.getRange(first, 6, missing.length, 1).insertCheckboxes();
+    sheet.autoResizeColumns(1, SA_RULES_HEADERS.length);
+    rows.push(...missing);
+  }
+
+  const num  = v => v === "" || v === null || isNaN(Number(v)) ? null : Number(v);
+  const tick = v => v === true || String(v).toUpperCase() === "TRUE";
+
+  const byHeader = {};
+  const dupCols  = [];
+  rows.forEach(r => {
+    const h = String(r[0]).trim();
+    if (!h || !headers.includes(h)) return;
+    const list = String(r[4]).split(",").map(s => s.trim().toLowerCase()).filter(s => s);
+    byHeader[h] = { required: tick(r[1]), min: num(r[2]), max: num(r[3]), allowed: list.length ? list : null };
+    if (tick(r[5])) dupCols.push(headers.indexOf(h));
+  });
+  dupCols.sort((a, b) => a - b);
+
+  return { byHeader, dupCols, matchCol: findHeaderIndex(headers, MD_MATCH_HEADERS) };
+}
+
+
+/**
+ * The row's Duplicate Key (ticked SA Rules columns) as one string, with
+ * match numbers normalized ("Q12" = "qm12" = 12). "" if those cells are
+ * all blank.
+ */
+function saDuplicateKey(row, rules) {
+  const parts = rules.dupCols.map(c => c === rules.matchCol
+    ? normalizeMatchKey(row[c])
+    : String(row[c] === null || row[c] === undefined ? "" : row[c]).trim().toLowerCase());
+  return parts.some(p => p !== "") ? parts.join("|") : "";
+}
+
+
+/**
+ * Teams a row may name, per SA_ALLOWED_TEAMS. { teams: Set|null, source }.
+ * null teams = no check (ANY, or the list couldn't be loaded).
+ */
+function loadAllowedTeams(cfg) {
+  if (cfg.SA_ALLOWED_TEAMS === "TBA_EVENT") {
+    if (!cfg.EVENT_KEY) return { teams: null, source: "any team (EVENT_KEY is blank)" };
+    const keys = tbaGet("/event/" + cfg.EVENT_KEY + "/teams/keys");
+    if (!keys || !keys.length) return { teams: null, source: `any team (TBA has no list for ${cfg.EVENT_KEY})` };
+    return { teams: new Set(keys.map(k => Number(String(k).replace("frc", "")))), source: `TBA's ${cfg.EVENT_KEY} team list` };
+  }
+
+  if (cfg.SA_ALLOWED_TEAMS === "TEAMS_TAB") {
+    const sheet = SpreadsheetApp.getActive().getSheetByName(TEAMS_SHEET);
+    const teams = sheet ? readTeamNumbers(sheet) : [];
+    if (!teams.length) return { teams: null, source: `any team (the "${TEAMS_SHEET}" tab is empty)` };
+    return { teams: new Set(teams), source: `the "${TEAMS_SHEET}" tab` };
+  }
+
+  return { teams: null, source: "any team (SA_ALLOWED_TEAMS = ANY)" };
+}
+
+
+/**
+ * Red background + ⚠️ note on every bad cell. Cells flagged by an earlier
+ * run that are fine now go back to normal; other notes are left alone.
+ */
+function highlightSAIssues(src, issues, numRows, numCols) {
+  const range = src.getRange(2, 1, numRows, numCols);
+  const bgs   = range.getBackgrounds();
+  const notes = range.getNotes();
+
+  const byCell = {};
+  issues.forEach(x => {
+    const k = (x.row - 2) + "," + (x.col - 1);
+    (byCell[k] = byCell[k] || []).push(x.problem);
+  });
+
+  notes.forEach((r, i) => r.forEach((note, j) => {
+    const problems = byCell[i + "," + j];
+    if (problems) {
+      bgs[i][j]   = SA_FLAG_COLOR;
+      notes[i][j] = SA_FLAG_NOTE + "\n• " + problems.join("\n• ");
+    } else if (String(note).startsWith(SA_FLAG_NOTE)) {
+      bgs[i][j]   = null;
+      notes[i][j] = "";
+    }
+  }));
+
+  range.setBackgrounds(bgs);
+  range.setNotes(notes);
+}
+
+
+function writeSAReport(issues, allowed) {
+  const ss  = SpreadsheetApp.getActive();
+  let sheet = ss.getSheetByName(SA_REPORT_SHEET);
+  if (!sheet) sheet = ss.insertSheet(SA_REPORT_SHEET);
+  sheet.clear();
+
+  const headers = ["Row", "Team", "Column", "Value", "Problem", "Already Pasted"];
+  const rows    = new Set(issues.map(x => x.row)).size;
+
+  sheet.getRange(1, 1)
+    .setValue(`SA VALIDATION — ${getConfig().SA_SOURCE_SHEET} • checked ${new Date().toLocaleString()}`)
+    .setFontWeight("bold");
+  sheet.getRange(2, 1).setValue(`${issues.length} problem(s) in ${rows} row(s) • team list: ${allowed.source}`);
+
+  sheet.getRange(SA_REPORT_FIRST_ROW - 1, 1, 1, headers.length)
+    .setValues([headers])
+    .setFontWeight("bold");
+  sheet.setFrozenRows(SA_REPORT_FIRST_ROW - 1);
+
+  if (!issues.length) return;
+
+  sheet.getRange(SA_REPORT_FIRST_ROW, 1, issues.length, headers.length).setValues(issues.map(x => [
+    x.row, x.team, x.header, x.value, x.problem, x.pasted ? "yes" : ""
+  ]));
+  sheet.autoResizeColumns(1, headers.length);
+}